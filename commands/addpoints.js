@@ -0,0 +1,185 @@
+// commands/addpoints.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  newAdminActionId,
+  logAdminAction,
+  awardPoints,
+  describeUndo,
+  getBulkApprovalThreshold,
+} = require("../core");
+const { requestConfirmation } = require("../confirmations");
+
+async function addPointsToMembers(
+  guildId,
+  adminId,
+  memberIds,
+  points,
+  roleId,
+  approvedBy,
+) {
+  // One action ID for the whole role so /undo reverses it in one go
+  const actionId = newAdminActionId();
+  let successCount = 0;
+  let failCount = 0;
+
+  for (const memberId of memberIds) {
+    const result = await awardPoints(
+      guildId,
+      memberId,
+      points,
+      "manual_addpoints_role",
+      { adminId },
+    );
+    if (result && result.newPoints !== null) {
+      successCount++;
+      await logAdminAction(
+        guildId,
+        adminId,
+        memberId,
+        "addpoints_role",
+        points,
+        { actionId, approvedBy },
+      );
+    } else {
+      failCount++;
+    }
+  }
+
+  return (
+    `✅ **${successCount}** members updated, **${failCount}** failed/not verified, in role <@&${roleId}>.` +
+    (successCount ? describeUndo(guildId, actionId) : "")
+  );
+}
+
+// ---- /addpoints => admin can add gold_points to user or role (role: after confirming)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const pointsToAdd = options.getInteger("points");
+  const targetUser = options.getUser("user");
+  const targetRole = options.getRole("role");
+
+  // Must specify either user or role
+  if (!targetUser && !targetRole) {
+    return interaction.reply({
+      content: "❌ You must specify either a user or a role.",
+      ephemeral: true,
+    });
+  }
+  if (pointsToAdd <= 0) {
+    return interaction.reply({
+      content: "❌ Points must be > 0.",
+      ephemeral: true,
+    });
+  }
+
+  // Single user
+  if (targetUser && !targetRole) {
+    const userId = targetUser.id;
+    const result = await awardPoints(
+      guildId,
+      userId,
+      pointsToAdd,
+      "manual_addpoints",
+      { adminId: user.id },
+    );
+    if (result && result.newPoints !== null) {
+      const actionId = await logAdminAction(
+        guildId,
+        user.id,
+        userId,
+        "addpoints_user",
+        pointsToAdd,
+      );
+      return interaction.reply({
+        content:
+          `✅ Added **${pointsToAdd}** gold points to <@${userId}> (now **${result.newPoints}**).` +
+          describeUndo(guildId, actionId),
+        ephemeral: true,
+      });
+    } else {
+      return interaction.reply({
+        content: `❌ Could not add points to <@${userId}> (not verified or error).`,
+        ephemeral: true,
+      });
+    }
+  }
+
+  // Role
+  else if (targetRole) {
+    const guild = interaction.guild;
+    if (!guild) {
+      return interaction.reply({
+        content: "❌ Could not fetch guild.",
+        ephemeral: true,
+      });
+    }
+
+    let roleMembers;
+    try {
+      // fetch all members to ensure we have them in cache
+      await guild.members.fetch();
+      roleMembers = targetRole.members;
+    } catch (err) {
+      console.error("[addpoints] Error fetching role members:", err);
+      return interaction.reply({
+        content: `❌ Could not fetch members for role <@&${targetRole.id}>.`,
+        ephemeral: true,
+      });
+    }
+
+    const memberIds = [...roleMembers.values()]
+      .filter((guildMember) => !guildMember.user.bot) // skip bots
+      .map((guildMember) => guildMember.id);
+    if (!memberIds.length) {
+      return interaction.reply({
+        content: `No members found with role <@&${targetRole.id}>.`,
+        ephemeral: true,
+      });
+    }
+
+    const threshold = getBulkApprovalThreshold(guildId);
+    return requestConfirmation(interaction, {
+      summary: `Give **${pointsToAdd}** gold points to each of the **${memberIds.length}** member(s) of <@&${targetRole.id}>.`,
+      confirmLabel: `Add points to ${memberIds.length} member(s)`,
+      needsApproval: threshold > 0 && memberIds.length >= threshold,
+      run: ({ approvedBy }) =>
+        addPointsToMembers(
+          guildId,
+          user.id,
+          memberIds,
+          pointsToAdd,
+          targetRole.id,
+          approvedBy,
+        ),
+    });
+  }
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("addpoints")
+    .setDescription(
+      "Add points to a single user or all users with a specific role (admin only)",
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("points")
+        .setDescription("How many points to add")
+        .setRequired(true),
+    )
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("The user to whom points will be added")
+        .setRequired(false),
+    )
+    .addRoleOption((opt) =>
+      opt
+        .setName("role")
+        .setDescription("All members in this role will get points")
+        .setRequired(false),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
@@ -0,0 +1,99 @@
+// commands/adminhelp.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+  ApplicationCommandOptionType,
+} = require("discord.js");
+const { CAPABILITIES } = require("../core");
+
+// Embed descriptions are capped at 4096 characters
+const EMBED_DESCRIPTION_LIMIT = 4000;
+
+function describeOptions(options = []) {
+  const args = options.map((opt) =>
+    opt.required ? `<${opt.name}>` : `[${opt.name}]`,
+  );
+  return args.length ? ` \`${args.join(" ")}\`` : "";
+}
+
+/**
+ * One entry per admin command (or admin subcommand), straight from the
+ * registry so it can't drift from what is actually registered/enforced.
+ */
+function buildAdminHelpEntries(
+  commands,
+  getRequiredPermission,
+  getRequiredCapability,
+) {
+  const entries = [];
+  const describeGrant = (capability) =>
+    capability ? ` _(also: ${CAPABILITIES[capability]} grant)_` : "";
+  for (const command of commands) {
+    const json = command.data.toJSON();
+    const subcommands = (json.options || []).filter(
+      (opt) => opt.type === ApplicationCommandOptionType.Subcommand,
+    );
+
+    if (!subcommands.length) {
+      if (!getRequiredPermission(command, null)) continue;
+      entries.push(
+        `**/${json.name}**${describeOptions(json.options)}\n• ${json.description}${describeGrant(getRequiredCapability(command, null))}`,
+      );
+      continue;
+    }
+    for (const sub of subcommands) {
+      if (!getRequiredPermission(command, sub.name)) continue;
+      entries.push(
+        `**/${json.name} ${sub.name}**${describeOptions(sub.options)}\n• ${sub.description}${describeGrant(getRequiredCapability(command, sub.name))}`,
+      );
+    }
+  }
+  return entries;
+}
+
+// ---- /adminhelp => every command that needs a permission, from the registry
+async function execute(interaction) {
+  // Required here: commands/index.js loads this module
+  const {
+    commands,
+    getRequiredPermission,
+    getRequiredCapability,
+  } = require("./index");
+
+  const embeds = [];
+  let desc = "";
+  const entries = buildAdminHelpEntries(
+    commands,
+    getRequiredPermission,
+    getRequiredCapability,
+  );
+  for (const entry of entries) {
+    if (desc.length + entry.length + 2 > EMBED_DESCRIPTION_LIMIT) {
+      embeds.push(desc);
+      desc = "";
+    }
+    desc += `${entry}\n\n`;
+  }
+  embeds.push(desc);
+
+  return interaction.reply({
+    embeds: embeds.map((description, i) =>
+      new EmbedBuilder()
+        .setTitle(
+          i === 0 ? "Admin Commands Help" : "Admin Commands Help (cont.)",
+        )
+        .setColor("Blue")
+        .setDescription(description),
+    ),
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("adminhelp")
+    .setDescription("🛠️ Shows a list of admin-only commands"),
+  permission: PermissionsBitField.Flags.Administrator,
+  execute,
+};
@@ -0,0 +1,91 @@
+// commands/audit.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  supabase,
+  botLog,
+  fetchLedgerEntries,
+  replayLedger,
+} = require("../core");
+
+// ---- /audit => replay a user's ledger and compare with gold_points
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const targetUser = options.getUser("user");
+  await interaction.deferReply({ ephemeral: true });
+
+  const entries = await fetchLedgerEntries(guildId, targetUser.id);
+  if (!entries) {
+    return interaction.editReply({ content: "❌ Error reading the ledger." });
+  }
+  const { data: memberData, error: memberErr } = await supabase
+    .from("guild_members")
+    .select("gold_points")
+    .eq("guild_id", guildId)
+    .eq("discord_id", targetUser.id)
+    .maybeSingle();
+  if (memberErr) {
+    return interaction.editReply({
+      content: "❌ Error fetching the user's gold points.",
+    });
+  }
+
+  const { balance, byAction, firstBadEntry } = replayLedger(entries);
+  const goldPoints = memberData?.gold_points || 0;
+  const drift = goldPoints - balance;
+
+  const breakdown =
+    Object.entries(byAction)
+      .sort(([, a], [, b]) => b.points - a.points)
+      .map(
+        ([action, { points, count }]) =>
+          `\`${action}\`: **${points}** (${count} entries)`,
+      )
+      .join("\n") || "No entries.";
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🧾 Audit for ${targetUser.tag}`)
+    .setColor(drift === 0 && !firstBadEntry ? "Green" : "Red")
+    .addFields(
+      { name: "Ledger balance", value: `${balance}`, inline: true },
+      { name: "gold_points", value: `${goldPoints}`, inline: true },
+      {
+        name: "Drift",
+        value: drift === 0 ? "✅ none" : `⚠️ ${drift > 0 ? "+" : ""}${drift}`,
+        inline: true,
+      },
+      { name: "By action", value: breakdown },
+    )
+    .setFooter({ text: `${entries.length} ledger entries replayed` });
+  if (firstBadEntry) {
+    embed.addFields({
+      name: "Replay mismatch",
+      value: `⚠️ Entry #${firstBadEntry.id} (${firstBadEntry.action}, ${firstBadEntry.created_at}) doesn't match the running total.`,
+    });
+  }
+
+  if (drift !== 0) {
+    botLog(
+      `[audit] Drift of ${drift} for ${targetUser.id}: gold_points=${goldPoints}, ledger=${balance}.`,
+      guildId,
+    );
+  }
+  return interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("audit")
+    .setDescription(
+      "🧾 Replay a user's points ledger and check for drift (admin only)",
+    )
+    .addUserOption((opt) =>
+      opt.setName("user").setDescription("The user to audit").setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
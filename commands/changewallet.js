@@ -0,0 +1,17 @@
+// commands/changewallet.js
+const { SlashCommandBuilder } = require("discord.js");
+const { startWalletLink } = require("./connectwallet");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("changewallet")
+    .setDescription("Link a different SOL wallet")
+    .addStringOption((opt) =>
+      opt
+        .setName("wallet_address")
+        .setDescription("Your new SOL wallet address")
+        .setRequired(true),
+    ),
+  permission: null,
+  execute: startWalletLink,
+};
@@ -0,0 +1,145 @@
+// commands/confirmwallet.js
+const { SlashCommandBuilder } = require("discord.js");
+const {
+  supabase,
+  VERIFY_CODE_TTL_MINUTES,
+  botLog,
+  getScoreConfig,
+  buildWalletMessage,
+  verifyWalletSignature,
+  getWalletChallenge,
+  deleteWalletChallenge,
+  findWalletOwner,
+  recordWalletBonus,
+  removeWalletBonus,
+  awardPoints,
+} = require("../core");
+
+// ---- /confirmwallet => check the signature and link the wallet
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const config = getScoreConfig(guildId);
+  const challenge = await getWalletChallenge(user.id);
+  if (!challenge) {
+    return interaction.reply({
+      content:
+        "❌ No wallet verification in progress. Run /connectwallet first.",
+      ephemeral: true,
+    });
+  }
+
+  const ageMs = Date.now() - new Date(challenge.created_at).getTime();
+  if (ageMs > VERIFY_CODE_TTL_MINUTES * 60 * 1000) {
+    await deleteWalletChallenge(user.id);
+    return interaction.reply({
+      content: "⌛ That message expired. Run /connectwallet again.",
+      ephemeral: true,
+    });
+  }
+
+  const message = buildWalletMessage(
+    user.id,
+    challenge.wallet,
+    challenge.nonce,
+  );
+  if (
+    !verifyWalletSignature(
+      challenge.wallet,
+      message,
+      options.getString("signature"),
+    )
+  ) {
+    return interaction.reply({
+      content: `❌ That signature isn't valid for \`${challenge.wallet}\`. Make sure you signed the exact message.`,
+      ephemeral: true,
+    });
+  }
+
+  // Re-check: someone may have linked it while this was pending
+  if (await findWalletOwner(challenge.wallet, user.id)) {
+    return interaction.reply({
+      content: "❌ That wallet is already linked to another user.",
+      ephemeral: true,
+    });
+  }
+
+  const { data: userRec } = await supabase
+    .from("users")
+    .select("sol_wallet, twitter_verified")
+    .eq("discord_id", user.id)
+    .maybeSingle();
+  const { error } = await supabase
+    .from("users")
+    .upsert([{ discord_id: user.id, sol_wallet: challenge.wallet }], {
+      onConflict: "discord_id",
+    });
+  if (error) {
+    return interaction.reply({
+      content:
+        error.code === "23505"
+          ? "❌ That wallet is already linked to another user."
+          : "⚠️ Error linking your wallet. Please try again.",
+      ephemeral: true,
+    });
+  }
+  await deleteWalletChallenge(user.id);
+  botLog(
+    `[confirmwallet] ${user.tag} linked wallet ${challenge.wallet}` +
+      (userRec?.sol_wallet ? ` (was ${userRec.sol_wallet}).` : "."),
+    guildId,
+  );
+
+  if (!userRec?.twitter_verified) {
+    return interaction.reply({
+      content:
+        "✅ Wallet linked. Please /verify (link Twitter) to earn points.",
+      ephemeral: true,
+    });
+  }
+
+  // The bonus is paid once per guild, whether connecting or changing
+  if (!(await recordWalletBonus(guildId, user.id))) {
+    return interaction.reply({
+      content: `✅ Wallet linked: \`${challenge.wallet}\`.`,
+      ephemeral: true,
+    });
+  }
+  const result = await awardPoints(
+    guildId,
+    user.id,
+    config.connectWalletPoints,
+    "connect_wallet",
+  );
+  if (result.newPoints === null) {
+    await removeWalletBonus(guildId, user.id);
+    return interaction.reply({
+      content:
+        "✅ Wallet linked, but no points awarded. Possibly not verified?",
+      ephemeral: true,
+    });
+  }
+  if (result.notifyEnabled) {
+    botLog(
+      `[confirmwallet] ${user.tag} +${config.connectWalletPoints} (total: ${result.newPoints}).`,
+      guildId,
+    );
+  }
+  return interaction.reply({
+    content: `✅ Wallet linked! +${config.connectWalletPoints} gold points.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("confirmwallet")
+    .setDescription("Prove you own the wallet by pasting the signed message")
+    .addStringOption((opt) =>
+      opt
+        .setName("signature")
+        .setDescription("Base58 signature of the message from /connectwallet")
+        .setRequired(true),
+    ),
+  permission: null,
+  execute,
+};
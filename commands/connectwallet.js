@@ -0,0 +1,90 @@
+// commands/connectwallet.js
+const { SlashCommandBuilder } = require("discord.js");
+const {
+  supabase,
+  VERIFY_CODE_TTL_MINUTES,
+  isValidSolanaAddress,
+  buildWalletMessage,
+  createWalletChallenge,
+  findWalletOwner,
+} = require("../core");
+
+// ---- /connectwallet, /changewallet => issue a nonce to sign with the wallet
+async function startWalletLink(interaction) {
+  const { options, user } = interaction;
+  const walletAddr = options.getString("wallet_address").trim();
+  if (!isValidSolanaAddress(walletAddr)) {
+    return interaction.reply({
+      content: "❌ That isn't a valid Solana wallet address.",
+      ephemeral: true,
+    });
+  }
+
+  const { data: userRec, error: fetchErr } = await supabase
+    .from("users")
+    .select("sol_wallet")
+    .eq("discord_id", user.id)
+    .maybeSingle();
+  if (fetchErr) {
+    return interaction.reply({
+      content: "❌ Error fetching your user record.",
+      ephemeral: true,
+    });
+  }
+
+  const currentWallet = userRec?.sol_wallet;
+  if (interaction.commandName === "connectwallet" && currentWallet) {
+    return interaction.reply({
+      content: "❌ You already have a wallet connected. Use /changewallet.",
+      ephemeral: true,
+    });
+  }
+  if (interaction.commandName === "changewallet" && !currentWallet) {
+    return interaction.reply({
+      content: "❌ You don't have a wallet connected yet. Use /connectwallet.",
+      ephemeral: true,
+    });
+  }
+  if (walletAddr === currentWallet) {
+    return interaction.reply({
+      content: "❌ That wallet is already linked to you.",
+      ephemeral: true,
+    });
+  }
+  if (await findWalletOwner(walletAddr, user.id)) {
+    return interaction.reply({
+      content: "❌ That wallet is already linked to another user.",
+      ephemeral: true,
+    });
+  }
+
+  const nonce = await createWalletChallenge(user.id, walletAddr);
+  if (!nonce) {
+    return interaction.reply({
+      content: "⚠️ Error starting wallet verification. Please try again.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content:
+      `🔐 Sign this exact message with \`${walletAddr}\` (e.g. "Sign message" in your wallet):\n` +
+      `\`\`\`\n${buildWalletMessage(user.id, walletAddr, nonce)}\n\`\`\`\n` +
+      `Then run **/confirmwallet** with the base58 signature within ${VERIFY_CODE_TTL_MINUTES} minutes.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("connectwallet")
+    .setDescription("Link your SOL wallet to earn bonus points")
+    .addStringOption((opt) =>
+      opt
+        .setName("wallet_address")
+        .setDescription("Your SOL wallet address")
+        .setRequired(true),
+    ),
+  permission: null,
+  execute: startWalletLink,
+  startWalletLink,
+};
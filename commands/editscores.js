@@ -0,0 +1,65 @@
+// commands/editscores.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  SCORE_CONFIG,
+  logAdminAction,
+  validateScoreConfigValue,
+  setScoreConfigValue,
+} = require("../core");
+
+// ---- /editscores => update this guild's config (saved in DB)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const key = options.getString("key");
+  const value = options.getNumber("value");
+
+  if (!SCORE_CONFIG.hasOwnProperty(key)) {
+    return interaction.reply({
+      content: `❌ Invalid key. Valid: ${Object.keys(SCORE_CONFIG).join(", ")}`,
+      ephemeral: true,
+    });
+  }
+  const invalid = validateScoreConfigValue(key, value);
+  if (invalid) {
+    return interaction.reply({
+      content: `❌ ${invalid}`,
+      ephemeral: true,
+    });
+  }
+
+  const success = await setScoreConfigValue(guildId, key, value);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the new value.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(guildId, user.id, "N/A", `editscores_${key}`, value);
+
+  return interaction.reply({
+    content: `✅ Updated \`${key}\` => \`${value}\`.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("editscores")
+    .setDescription(
+      "⚙️ Edit the point values for various actions (admin/mod only)",
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("key")
+        .setDescription("Which scoring key to edit")
+        .setRequired(true),
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("value")
+        .setDescription("The new numeric value")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  execute,
+};
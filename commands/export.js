@@ -0,0 +1,303 @@
+// commands/export.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  botLog,
+  logAdminAction,
+  getGuildSetting,
+  getGuildDate,
+  getGuildMidnight,
+  findSeason,
+  EXPORT_DATASETS,
+  fetchExportPages,
+} = require("../core");
+
+// Discord's attachment limit for servers without boosts
+const MAX_EXPORT_BYTES = 10 * 1024 * 1024;
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * The export file's text, page by page. Stops early (setting
+ * `stats.tooBig`) once the file would no longer fit on Discord.
+ */
+async function* exportChunks(guildId, dataset, filters, format, stats) {
+  const { columns } = EXPORT_DATASETS[dataset];
+  const emit = (chunk) => {
+    stats.bytes += Buffer.byteLength(chunk);
+    stats.tooBig = stats.bytes > MAX_EXPORT_BYTES;
+    return chunk;
+  };
+
+  yield emit(format === "csv" ? `${columns.join(",")}\n` : "[");
+  for await (const rows of fetchExportPages(guildId, dataset, filters)) {
+    const lines = rows.map((row) =>
+      format === "csv"
+        ? columns.map((column) => toCsvCell(row[column])).join(",")
+        : JSON.stringify(
+            Object.fromEntries(columns.map((column) => [column, row[column]])),
+          ),
+    );
+    const separator = format === "json" && stats.rows ? ",\n" : "\n";
+    stats.rows += rows.length;
+    yield emit(
+      format === "csv"
+        ? `${lines.join("\n")}\n`
+        : separator + lines.join(",\n"),
+    );
+    if (stats.tooBig) return;
+  }
+  if (format === "json") yield emit("\n]\n");
+}
+
+/**
+ * "YYYY-MM-DD" options to [since, until) in the guild's timezone
+ * (`to` is inclusive). Returns { since, until } or { error }.
+ */
+function parseDateRange(guildId, from, to) {
+  const isDate = (text) => {
+    const time = Date.parse(`${text}T00:00:00Z`);
+    // Date.parse rolls 2026-02-30 over to March, so compare it back
+    return !isNaN(time) && new Date(time).toISOString().startsWith(text);
+  };
+  for (const date of [from, to]) {
+    if (date && !isDate(date)) {
+      return { error: `\`${date}\` is not a date. Use YYYY-MM-DD.` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: "`from` is after `to`." };
+  }
+  let until = null;
+  if (to) {
+    const next = new Date(`${to}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    until = getGuildMidnight(guildId, next.toISOString().slice(0, 10));
+  }
+  return { since: from ? getGuildMidnight(guildId, from) : null, until };
+}
+
+function describeFilters(guildId, { from, to, discordId, season }) {
+  const parts = [];
+  if (from || to) {
+    const timeZone = getGuildSetting(guildId, "timezone") || "UTC";
+    parts.push(`${from || "the beginning"} to ${to || "today"} (${timeZone})`);
+  }
+  if (discordId) parts.push(`<@${discordId}>`);
+  if (season) parts.push(`season **${season.name}**`);
+  return parts.join(", ");
+}
+
+/**
+ * Stream a dataset into a temp file and attach it to the (deferred) reply.
+ */
+async function sendExport(interaction, dataset, filters, { label, fileName }) {
+  const { options, user, guildId } = interaction;
+  const format = options.getString("format") || "csv";
+  const filePath = path.join(
+    os.tmpdir(),
+    `export-${crypto.randomBytes(4).toString("hex")}.${format}`,
+  );
+  const stats = { rows: 0, bytes: 0, tooBig: false };
+
+  try {
+    await pipeline(
+      Readable.from(exportChunks(guildId, dataset, filters, format, stats)),
+      fs.createWriteStream(filePath),
+    );
+    if (stats.tooBig) {
+      return interaction.editReply({
+        content: `❌ This export is over ${MAX_EXPORT_BYTES / 1024 / 1024} MB. Narrow it down with a date range or a user.`,
+      });
+    }
+
+    await logAdminAction(guildId, user.id, "N/A", `export_${dataset}`);
+    return await interaction.editReply({
+      content: `📤 ${EXPORT_DATASETS[dataset].label}: **${stats.rows}** row(s)${label ? ` for ${label}` : ""}.`,
+      files: [{ attachment: filePath, name: `${fileName}.${format}` }],
+    });
+  } catch (err) {
+    botLog(`[export] Error exporting ${dataset}: ${err}`, guildId);
+    return interaction.editReply({
+      content: "⚠️ The export failed. Please try again.",
+    });
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+// ---- /export users => every member with points, Twitter and wallet
+async function users(interaction) {
+  const { options, guildId } = interaction;
+  const discordId = options.getUser("user")?.id || null;
+
+  await interaction.deferReply({ ephemeral: true });
+  return sendExport(
+    interaction,
+    "users",
+    { discordId },
+    {
+      label: describeFilters(guildId, { discordId }),
+      fileName: `members-${getGuildDate(guildId)}`,
+    },
+  );
+}
+
+/**
+ * activity_logs/admin_logs rows, optionally by date range and user.
+ */
+async function exportLog(interaction, dataset) {
+  const { options, guildId } = interaction;
+  const from = options.getString("from");
+  const to = options.getString("to");
+  const discordId = options.getUser("user")?.id || null;
+  const range = parseDateRange(guildId, from, to);
+  if (range.error) {
+    return interaction.reply({ content: `❌ ${range.error}`, ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  return sendExport(
+    interaction,
+    dataset,
+    { since: range.since, until: range.until, discordId },
+    {
+      label: describeFilters(guildId, { from, to, discordId }),
+      fileName: `${dataset === "activity" ? "activity-log" : "admin-log"}-${getGuildDate(guildId)}`,
+    },
+  );
+}
+
+// ---- /export activity => every points event
+async function activity(interaction) {
+  return exportLog(interaction, "activity");
+}
+
+// ---- /export adminlogs => every admin action
+async function adminlogs(interaction) {
+  return exportLog(interaction, "adminlogs");
+}
+
+// ---- /export snapshot => wallet + final points, for distribution lists
+async function snapshot(interaction) {
+  const { options, guildId } = interaction;
+  const seasonName = options.getString("season");
+
+  let season = null;
+  if (seasonName) {
+    season = await findSeason(guildId, seasonName);
+    if (!season) {
+      return interaction.reply({
+        content: "❌ No such season. See /season list.",
+        ephemeral: true,
+      });
+    }
+    if (!season.ended_at) {
+      return interaction.reply({
+        content: `❌ Season **${season.name}** is still running, so it has no final points yet. End it with /season end first.`,
+        ephemeral: true,
+      });
+    }
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  return sendExport(
+    interaction,
+    "snapshot",
+    { seasonId: season?.id ?? null },
+    {
+      label: describeFilters(guildId, { season }),
+      fileName: season
+        ? `wallets-${season.name.replace(/[^\w-]+/g, "_")}`
+        : `wallets-${getGuildDate(guildId)}`,
+    },
+  );
+}
+
+const addFormatOption = (sub) =>
+  sub.addStringOption((opt) =>
+    opt
+      .setName("format")
+      .setDescription("File format (default CSV)")
+      .addChoices(
+        { name: "CSV", value: "csv" },
+        { name: "JSON", value: "json" },
+      )
+      .setRequired(false),
+  );
+
+const addLogFilterOptions = (sub) =>
+  addFormatOption(sub)
+    .addStringOption((opt) =>
+      opt
+        .setName("from")
+        .setDescription("First day, YYYY-MM-DD (server timezone)")
+        .setRequired(false),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("to")
+        .setDescription("Last day, YYYY-MM-DD (server timezone)")
+        .setRequired(false),
+    )
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("Only rows about this user")
+        .setRequired(false),
+    );
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("export")
+    .setDescription("📤 Download points and logs as CSV or JSON (admin only)")
+    .addSubcommand((sub) =>
+      addFormatOption(
+        sub
+          .setName("users")
+          .setDescription("Members with points, Twitter and wallet"),
+      ).addUserOption((opt) =>
+        opt.setName("user").setDescription("Only this user").setRequired(false),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addLogFilterOptions(
+        sub
+          .setName("activity")
+          .setDescription("Every points event (messages, reactions, Twitter…)"),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addLogFilterOptions(
+        sub.setName("adminlogs").setDescription("Every admin action"),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addFormatOption(
+        sub
+          .setName("snapshot")
+          .setDescription(
+            "Wallet addresses with final points, for distribution lists",
+          ),
+      ).addStringOption((opt) =>
+        opt
+          .setName("season")
+          .setDescription("A finished season (default: lifetime points)")
+          .setRequired(false),
+      ),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  subcommands: { users, activity, adminlogs, snapshot },
+};
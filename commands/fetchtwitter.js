@@ -0,0 +1,28 @@
+// commands/fetchtwitter.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { checkTwitterActivity } = require("../twitter");
+
+// ---- /fetchtwitter => admin-only immediate poll of Twitter
+async function execute(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    await checkTwitterActivity(); // The function that polls & awards points
+    await interaction.editReply({
+      content: "✅ Fetched recent tweets. Check bot logs!",
+    });
+  } catch (err) {
+    console.error("[fetchtwitter] Error:", err);
+    await interaction.editReply({
+      content: `❌ Error fetching data: ${err.message}`,
+    });
+  }
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("fetchtwitter")
+    .setDescription("Manually fetch recent tweets (admin only)"),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "twitter",
+  execute,
+};
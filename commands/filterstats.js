@@ -0,0 +1,75 @@
+// commands/filterstats.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const { dailyMessageTracker, getGuildDate } = require("../core");
+
+// ---- /filterstats => today's messages skipped by the quality filters
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const targetUser = options.getUser("user");
+  const today = getGuildDate(guildId);
+  const totals = { emojiOnly: 0, tooShort: 0, duplicate: 0, cooldown: 0 };
+  const perUser = [];
+
+  for (const [trackerKey, tracker] of Object.entries(dailyMessageTracker)) {
+    const [trackerGuildId, discordId] = trackerKey.split(":");
+    if (trackerGuildId !== guildId || tracker.date !== today) continue;
+    if (targetUser && discordId !== targetUser.id) continue;
+
+    let userTotal = 0;
+    for (const [reason, count] of Object.entries(tracker.filtered)) {
+      totals[reason] += count;
+      userTotal += count;
+    }
+    if (userTotal > 0) perUser.push({ discordId, userTotal });
+  }
+
+  const topUsers = perUser
+    .sort((a, b) => b.userTotal - a.userTotal)
+    .slice(0, 10)
+    .map((u, i) => `${i + 1}. <@${u.discordId}> - **${u.userTotal}**`)
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle(
+      `🧹 Filtered messages today (${today})${targetUser ? ` - ${targetUser.tag}` : ""}`,
+    )
+    .setColor("Blue")
+    .addFields(
+      {
+        name: "Emoji/sticker only",
+        value: `${totals.emojiOnly}`,
+        inline: true,
+      },
+      { name: "Too short", value: `${totals.tooShort}`, inline: true },
+      { name: "Near-duplicate", value: `${totals.duplicate}`, inline: true },
+      { name: "Cooldown", value: `${totals.cooldown}`, inline: true },
+    );
+  if (!targetUser) {
+    embed.addFields({
+      name: "Most filtered members",
+      value: topUsers || "None.",
+    });
+  }
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("filterstats")
+    .setDescription(
+      "🧹 Show messages skipped by the quality filters today (admin/mod only)",
+    )
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("Only show this user's filtered messages")
+        .setRequired(false),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  execute,
+};
@@ -0,0 +1,308 @@
+// commands/importpoints.js
+const axios = require("axios");
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  botLog,
+  newAdminActionId,
+  logAdminAction,
+  logActivity,
+  awardPoints,
+  applyPointsChange,
+  describeUndo,
+  getBulkApprovalThreshold,
+  joinFieldLines,
+} = require("../core");
+const { requestConfirmation } = require("../confirmations");
+
+const MAX_IMPORT_BYTES = 512 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_POINTS = 1000000;
+const PREVIEW_ROWS = 10;
+// Reasons and bad cells are cut to this in the preview
+const PREVIEW_TEXT_LENGTH = 80;
+
+function shorten(text) {
+  return text.length > PREVIEW_TEXT_LENGTH
+    ? `${text.slice(0, PREVIEW_TEXT_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Minimal CSV parser: commas, double-quoted fields ("" = quote), CRLF/LF.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Check every row. Returns { rows: [{ line, discordId, points, reason }], errors: [string] }.
+ */
+function validateImportRows(csvRows) {
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  csvRows.forEach((cells, i) => {
+    const line = i + 1;
+    const trimmed = cells.map((cell) => cell.trim());
+    if (trimmed.every((cell) => !cell)) return; // blank line
+    if (i === 0 && trimmed[0].toLowerCase() === "discord_id") return; // header
+
+    if (trimmed.length !== 3) {
+      errors.push(`Line ${line}: expected 3 columns, got ${trimmed.length}`);
+      return;
+    }
+    const [discordId, pointsText, reason] = trimmed;
+    if (!/^\d{17,20}$/.test(discordId)) {
+      errors.push(
+        `Line ${line}: \`${shorten(discordId)}\` is not a Discord ID`,
+      );
+      return;
+    }
+    if (!/^-?\d+$/.test(pointsText)) {
+      errors.push(
+        `Line ${line}: \`${shorten(pointsText)}\` is not a whole number`,
+      );
+      return;
+    }
+    const points = Number(pointsText);
+    if (points === 0 || Math.abs(points) > MAX_IMPORT_POINTS) {
+      errors.push(
+        `Line ${line}: points must be non-zero and at most ${MAX_IMPORT_POINTS}`,
+      );
+      return;
+    }
+    if (!reason) {
+      errors.push(`Line ${line}: missing reason`);
+      return;
+    }
+    if (seen.has(discordId)) {
+      errors.push(`Line ${line}: <@${discordId}> is listed twice`);
+      return;
+    }
+    seen.add(discordId);
+    rows.push({ line, discordId, points, reason });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push(`Too many rows: ${rows.length} (max ${MAX_IMPORT_ROWS})`);
+  }
+  return { rows, errors };
+}
+
+function describeImportRow(row) {
+  return `<@${row.discordId}> ${row.points > 0 ? "+" : ""}${row.points} - ${shorten(row.reason)}`;
+}
+
+function buildPreviewEmbed(fileName, rows, errors) {
+  const added = rows
+    .filter((row) => row.points > 0)
+    .reduce((sum, row) => sum + row.points, 0);
+  const removed = rows
+    .filter((row) => row.points < 0)
+    .reduce((sum, row) => sum - row.points, 0);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📥 Import preview: ${shorten(fileName)}`)
+    .setColor(errors.length ? "Red" : "Blue")
+    .setDescription(
+      `**${rows.length}** valid row(s): **+${added}** added, **-${removed}** removed.\n` +
+        (errors.length
+          ? `**${errors.length}** problem(s) - fix the file and upload it again.`
+          : "Nothing has been changed yet."),
+    );
+  if (rows.length) {
+    embed.addFields({
+      name: "Rows",
+      value: joinFieldLines(rows.map(describeImportRow), {
+        maxLines: PREVIEW_ROWS,
+      }),
+    });
+  }
+  if (errors.length) {
+    embed.addFields({
+      name: "Problems",
+      value: joinFieldLines(errors, { maxLines: PREVIEW_ROWS }),
+    });
+  }
+  return embed;
+}
+
+// ---- /importpoints => preview a CSV of discord_id,points,reason, apply on confirm
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const file = options.getAttachment("file");
+  if (!file.name.toLowerCase().endsWith(".csv")) {
+    return interaction.reply({
+      content: "❌ Please attach a `.csv` file.",
+      ephemeral: true,
+    });
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return interaction.reply({
+      content: `❌ The file is too big (max ${MAX_IMPORT_BYTES / 1024} KB).`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  let text;
+  try {
+    const response = await axios.get(file.url, { responseType: "text" });
+    text = response.data;
+  } catch (err) {
+    botLog(`[importpoints] Could not download ${file.name}: ${err}`, guildId);
+    return interaction.editReply({
+      content: "⚠️ Could not download the file. Please try again.",
+    });
+  }
+
+  const { rows, errors } = validateImportRows(parseCsv(text));
+  if (!rows.length && !errors.length) {
+    return interaction.editReply({
+      content:
+        "❌ The file has no rows. Expected `discord_id,points,reason` per line.",
+    });
+  }
+  const embed = buildPreviewEmbed(file.name, rows, errors);
+  if (errors.length) {
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  const threshold = getBulkApprovalThreshold(guildId);
+  return requestConfirmation(interaction, {
+    embed,
+    confirmLabel: `Apply ${rows.length} row(s)`,
+    needsApproval: threshold > 0 && rows.length >= threshold,
+    run: ({ approvedBy }) =>
+      applyImport(guildId, user.id, file.name, rows, approvedBy),
+  });
+}
+
+/**
+ * Change one member's balance. Grants need a verified Twitter like
+ * /addpoints; penalties don't, like /removepoints. Returns { newPoints },
+ * with newPoints null and `problem` set when the row wasn't applied.
+ */
+async function importRow(guildId, adminId, row) {
+  if (row.points > 0) {
+    const result = await awardPoints(
+      guildId,
+      row.discordId,
+      row.points,
+      "manual_import",
+      { adminId },
+    );
+    return { newPoints: result.newPoints, problem: "not verified or error" };
+  }
+
+  const change = await applyPointsChange(guildId, row.discordId, {
+    delta: row.points,
+    action: "manual_import",
+    adminId,
+    allowNegative: false,
+  });
+  if (!change || change.insufficient) {
+    return {
+      newPoints: null,
+      problem: change ? "doesn't have enough points" : "error",
+    };
+  }
+  await logActivity(guildId, row.discordId, "manual_import", row.points);
+  return { newPoints: change.newPoints };
+}
+
+/**
+ * Apply a confirmed import. Every row shares one action ID for /undo.
+ */
+async function applyImport(guildId, adminId, fileName, rows, approvedBy) {
+  const actionId = newAdminActionId();
+  const failed = [];
+  for (const row of rows) {
+    const result = await importRow(guildId, adminId, row);
+    if (result.newPoints === null) {
+      failed.push(`Line ${row.line}: <@${row.discordId}> ${result.problem}`);
+      continue;
+    }
+    await logAdminAction(
+      guildId,
+      adminId,
+      row.discordId,
+      "importpoints",
+      row.points,
+      { reason: row.reason, actionId, approvedBy },
+    );
+  }
+
+  const applied = rows.length - failed.length;
+  botLog(
+    `[importpoints] <@${adminId}> imported ${fileName}: ${applied} applied, ${failed.length} failed.`,
+    guildId,
+  );
+  const more =
+    failed.length > PREVIEW_ROWS
+      ? `\n…and ${failed.length - PREVIEW_ROWS} more`
+      : "";
+  return (
+    `✅ Imported **${fileName}**: **${applied}** applied, **${failed.length}** failed.` +
+    (failed.length
+      ? `\n${failed.slice(0, PREVIEW_ROWS).join("\n")}${more}`
+      : "") +
+    (applied ? describeUndo(guildId, actionId) : "")
+  );
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("importpoints")
+    .setDescription(
+      "📥 Add/remove points in bulk from a CSV of discord_id,points,reason (admin only)",
+    )
+    .addAttachmentOption((opt) =>
+      opt
+        .setName("file")
+        .setDescription("CSV file: discord_id,points,reason (one row per user)")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
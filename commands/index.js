@@ -0,0 +1,91 @@
+// commands/index.js
+/**
+ * Command registry. Each module in this folder exports:
+ *   data        the SlashCommandBuilder (registerCommands.js sends these)
+ *   permission  PermissionsBitField flag needed to run it, or null
+ *   execute(interaction), or subcommands: { <name>: handler(interaction) }
+ * and optionally:
+ *   subcommandPermissions  { <subcommand>: flag or null } overriding `permission`
+ *   capability             CAPABILITIES key (core.js); members granted it with
+ *                          /permissions may run the command without `permission`
+ *   subcommandCapabilities { <subcommand>: key or null } overriding `capability`
+ *   dmAllowed              true if it also works outside a server
+ *   buttonPrefix + handleButton(interaction) for buttons on its replies
+ *     (custom IDs look like "<buttonPrefix>:...")
+ *
+ * Order here is the order of /adminhelp.
+ */
+const commands = [
+  require("./verify"),
+  require("./mypoints"),
+  require("./profile"),
+  require("./privacy"),
+  require("./leaderboard"),
+  require("./resetpoints"),
+  require("./removepoints"),
+  require("./setpoints"),
+  require("./importpoints"),
+  require("./undo"),
+  require("./export"),
+  require("./audit"),
+  require("./rolerewards"),
+  require("./scorehelp"),
+  require("./editscores"),
+  require("./viewscores"),
+  require("./filterstats"),
+  require("./setreactionchannel"),
+  require("./removereactionchannel"),
+  require("./messagerules"),
+  require("./setbotlogchannel"),
+  require("./tweeterupdates"),
+  require("./settings"),
+  require("./notifytoggle"),
+  require("./connectwallet"),
+  require("./changewallet"),
+  require("./confirmwallet"),
+  require("./fetchtwitter"),
+  require("./addpoints"),
+  require("./season"),
+  require("./shop"),
+  require("./redeem"),
+  require("./shopadmin"),
+  require("./permissions"),
+  require("./adminhelp"),
+];
+
+const commandsByName = new Map(
+  commands.map((command) => [command.data.name, command]),
+);
+
+function getCommand(name) {
+  return commandsByName.get(name) || null;
+}
+
+function getCommandForButton(customId) {
+  const prefix = customId.split(":")[0];
+  return commands.find((command) => command.buttonPrefix === prefix) || null;
+}
+
+function getRequiredPermission(command, subcommand) {
+  const overrides = command.subcommandPermissions || {};
+  if (subcommand && subcommand in overrides) {
+    return overrides[subcommand];
+  }
+  return command.permission;
+}
+
+function getRequiredCapability(command, subcommand) {
+  const overrides = command.subcommandCapabilities || {};
+  if (subcommand && subcommand in overrides) {
+    return overrides[subcommand];
+  }
+  return command.capability || null;
+}
+
+module.exports = {
+  commands,
+  getCommand,
+  getCommandForButton,
+  getRequiredPermission,
+  getRequiredCapability,
+};
@@ -0,0 +1,187 @@
+// commands/leaderboard.js
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const {
+  getOpenSeason,
+  getSeason,
+  findSeason,
+  LEADERBOARD_PAGE_SIZE,
+  getLeaderboardScope,
+  describeLeaderboardScope,
+  fetchLeaderboardPage,
+  fetchLeaderboardRank,
+  describeRankGap,
+} = require("../core");
+
+// ---- /leaderboard => paged ranking (all-time, a period or a season)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const seasonName = options.getString("season");
+  const period = options.getString("period") || "all";
+
+  let season = null;
+  if (seasonName) {
+    if (period !== "all") {
+      return interaction.reply({
+        content: "❌ Pick either a season or a period, not both.",
+        ephemeral: true,
+      });
+    }
+    season =
+      seasonName.toLowerCase() === "current"
+        ? await getOpenSeason(guildId)
+        : await findSeason(guildId, seasonName);
+    if (!season) {
+      return interaction.reply({
+        content: "❌ No such season. See /season list.",
+        ephemeral: true,
+      });
+    }
+  }
+
+  const scope = getLeaderboardScope(guildId, {
+    season,
+    period,
+    category: options.getString("category"),
+  });
+  const message = await buildLeaderboardMessage(guildId, scope, 0, user.id);
+  if (!message) {
+    return interaction.reply("❌ Error fetching leaderboard.");
+  }
+  return interaction.reply(message);
+}
+
+/**
+ * Leaderboard page embed + prev/next buttons for `callerId`.
+ * Button IDs carry everything needed to redraw: lb:<caller>:<page>:<period>:<category>:<season>
+ */
+async function buildLeaderboardMessage(guildId, scope, page, callerId) {
+  const [result, mine] = await Promise.all([
+    fetchLeaderboardPage(guildId, scope, page),
+    fetchLeaderboardRank(guildId, scope, callerId),
+  ]);
+  if (!result || !mine) return null;
+
+  const pages = Math.max(1, Math.ceil(result.total / LEADERBOARD_PAGE_SIZE));
+  const leaderboard = result.rows
+    .map((u) => {
+      const line = `${u.rank}. <@${u.discord_id}> - **${u.points}** gold points${u.tied ? " (tie)" : ""}`;
+      return u.discord_id === callerId ? `${line} ⬅️` : line;
+    })
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setColor("#FFD700")
+    .setTitle(`🏆 Leaderboard - ${describeLeaderboardScope(scope)}`)
+    .setDescription(leaderboard || "No data.")
+    .addFields({
+      name: "Your rank",
+      value: `#${mine.rank} with **${mine.points || 0}** gold points - ${describeRankGap(mine)}`,
+    });
+
+  let footer = `Page ${page + 1}/${pages} · ${result.total} ranked`;
+  if (scope.season) {
+    footer += scope.season.ended_at
+      ? ` · Final standings (ended ${scope.season.ended_at.slice(0, 10)})`
+      : ` · In progress since ${scope.season.started_at.slice(0, 10)}`;
+  }
+  embed.setFooter({ text: footer });
+
+  const idBase = `lb:${callerId}`;
+  const idScope = `${scope.period}:${scope.category || "-"}:${scope.season?.id || "-"}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${idBase}:${page - 1}:${idScope}`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`${idBase}:${page + 1}:${idScope}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page + 1 >= pages),
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Prev/next buttons on a /leaderboard reply. Only the member who ran the
+ * command can page it, since the embed shows their rank.
+ */
+async function handleButton(interaction) {
+  const [, callerId, page, period, category, seasonId] =
+    interaction.customId.split(":");
+  if (interaction.user.id !== callerId) {
+    return interaction.reply({
+      content: "Run /leaderboard to browse it yourself.",
+      ephemeral: true,
+    });
+  }
+
+  const season =
+    seasonId === "-" ? null : await getSeason(interaction.guildId, seasonId);
+  const scope = getLeaderboardScope(interaction.guildId, {
+    season,
+    period,
+    category: category === "-" ? null : category,
+  });
+  const message = await buildLeaderboardMessage(
+    interaction.guildId,
+    scope,
+    Number(page),
+    callerId,
+  );
+  if (!message) {
+    return interaction.reply({
+      content: "❌ Error fetching leaderboard.",
+      ephemeral: true,
+    });
+  }
+  return interaction.update(message);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("🏆 Show the points leaderboard")
+    .addStringOption((opt) =>
+      opt
+        .setName("season")
+        .setDescription('Season name, or "current" (leave empty = all-time)')
+        .setRequired(false),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("period")
+        .setDescription("Time window (default: all-time)")
+        .setRequired(false)
+        .addChoices(
+          { name: "Today", value: "day" },
+          { name: "This week", value: "week" },
+          { name: "This month", value: "month" },
+          { name: "All-time", value: "all" },
+        ),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("category")
+        .setDescription("Only count points from one kind of activity")
+        .setRequired(false)
+        .addChoices(
+          { name: "Messages", value: "messages" },
+          { name: "Reactions", value: "reactions" },
+          { name: "Twitter", value: "twitter" },
+          { name: "Manual (admin-given)", value: "manual" },
+        ),
+    ),
+  permission: null,
+  execute,
+  buttonPrefix: "lb",
+  handleButton,
+};
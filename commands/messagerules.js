@@ -0,0 +1,162 @@
+// commands/messagerules.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  MESSAGE_CHANNEL_RULES,
+  logAdminAction,
+  getMessageChannelRule,
+  setMessageChannelRule,
+  removeMessageChannelRule,
+  describeMessageChannelRule,
+  EMBED_DESCRIPTION_LIMIT,
+  joinFieldLines,
+} = require("../core");
+
+// ---- /messagerules set => exclude a channel or change its message points
+async function set(interaction) {
+  const { options, user, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  const excluded = options.getBoolean("excluded");
+  const multiplier = options.getNumber("multiplier");
+  const messagesPerPoint = options.getInteger("messages_per_point");
+  if (excluded === null && multiplier === null && messagesPerPoint === null) {
+    return interaction.reply({
+      content:
+        "❌ Give at least one of `excluded`, `multiplier` or `messages_per_point`.",
+      ephemeral: true,
+    });
+  }
+
+  const current = getMessageChannelRule(guildId, channel.id) || {
+    excluded: false,
+    multiplier: 1,
+    messagesPerPoint: null,
+  };
+  const rule = {
+    excluded: excluded ?? current.excluded,
+    multiplier: multiplier ?? current.multiplier,
+    messagesPerPoint: messagesPerPoint ?? current.messagesPerPoint,
+  };
+  const success = await setMessageChannelRule(guildId, channel.id, rule);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the channel rule.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    "N/A",
+    `messagerules_set_${channel.id}`,
+  );
+  return interaction.reply({
+    content: `✅ <#${channel.id}>: ${describeMessageChannelRule(rule)}.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /messagerules remove => channel goes back to the default rules
+async function remove(interaction) {
+  const { options, user, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  const success = await removeMessageChannelRule(guildId, channel.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not remove the channel rule.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    "N/A",
+    `messagerules_remove_${channel.id}`,
+  );
+  return interaction.reply({
+    content: `✅ <#${channel.id}> now uses the default message points.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /messagerules list => every channel with its own rule
+async function list(interaction) {
+  const { guildId } = interaction;
+  const lines = joinFieldLines(
+    Object.entries(MESSAGE_CHANNEL_RULES[guildId] || {}).map(
+      ([channelId, rule]) =>
+        `<#${channelId}>: ${describeMessageChannelRule(rule)}`,
+    ),
+    { limit: EMBED_DESCRIPTION_LIMIT },
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle("💬 Message Channel Rules")
+    .setColor("Blue")
+    .setDescription(
+      lines || "No channel rules. Every channel uses the default points.",
+    );
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("messagerules")
+    .setDescription("💬 Per-channel rules for message points (admin/mod only)")
+    .addSubcommand((sub) =>
+      sub
+        .setName("set")
+        .setDescription(
+          "Exclude a channel or change how it pays message points",
+        )
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Which channel?")
+            .setRequired(true),
+        )
+        .addBooleanOption((opt) =>
+          opt
+            .setName("excluded")
+            .setDescription("No message points in this channel")
+            .setRequired(false),
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("multiplier")
+            .setDescription("Multiply the message reward (e.g. 2 or 0.5)")
+            .setMinValue(0)
+            .setMaxValue(10)
+            .setRequired(false),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("messages_per_point")
+            .setDescription("Messages needed per reward in this channel")
+            .setMinValue(1)
+            .setMaxValue(1000)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Use the default message points in a channel again")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Which channel?")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("List channels with their own rules"),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "channels",
+  subcommands: { set, remove, list },
+};
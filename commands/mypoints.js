@@ -0,0 +1,66 @@
+// commands/mypoints.js
+const { SlashCommandBuilder } = require("discord.js");
+const {
+  getLeaderboardScope,
+  describeLeaderboardScope,
+  fetchLeaderboardRank,
+  describeRankGap,
+} = require("../core");
+
+// ---- /mypoints => show your gold_points and rank in this guild
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const scope = getLeaderboardScope(guildId, {
+    period: options.getString("period") || "all",
+    category: options.getString("category"),
+  });
+  const mine = await fetchLeaderboardRank(guildId, scope, user.id);
+  if (!mine) {
+    return interaction.reply({
+      content: "❌ Error fetching your gold points.",
+      ephemeral: true,
+    });
+  }
+  if (scope.lifetime && mine.points === null) {
+    return interaction.reply({
+      content: "😕 You have no record yet. /verify to start earning points!",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `**${describeLeaderboardScope(scope)}:** **${mine.points}** gold points (rank **#${mine.rank}**, ${describeRankGap(mine)})`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("mypoints")
+    .setDescription("🔢 Check your current points and rank")
+    .addStringOption((opt) =>
+      opt
+        .setName("period")
+        .setDescription("Time window (default: all-time)")
+        .setRequired(false)
+        .addChoices(
+          { name: "Today", value: "day" },
+          { name: "This week", value: "week" },
+          { name: "This month", value: "month" },
+          { name: "All-time", value: "all" },
+        ),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("category")
+        .setDescription("Only count points from one kind of activity")
+        .setRequired(false)
+        .addChoices(
+          { name: "Messages", value: "messages" },
+          { name: "Reactions", value: "reactions" },
+          { name: "Twitter", value: "twitter" },
+          { name: "Manual (admin-given)", value: "manual" },
+        ),
+    ),
+  permission: null,
+  execute,
+};
@@ -0,0 +1,50 @@
+// commands/notifytoggle.js
+const { SlashCommandBuilder } = require("discord.js");
+const { supabase } = require("../core");
+
+// ---- /notifytoggle => user toggles notify_enabled
+async function execute(interaction) {
+  const { user } = interaction;
+  const { data, error: fetchErr } = await supabase
+    .from("users")
+    .select("notify_enabled")
+    .eq("discord_id", user.id)
+    .single();
+
+  if (fetchErr || !data) {
+    return interaction.reply({
+      content: "❌ Could not find your user record. Try /verify first.",
+      ephemeral: true,
+    });
+  }
+
+  const newVal = !data.notify_enabled;
+  const { error: updateErr } = await supabase
+    .from("users")
+    .update({ notify_enabled: newVal })
+    .eq("discord_id", user.id);
+
+  if (updateErr) {
+    return interaction.reply({
+      content: "❌ Could not update preference.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: newVal
+      ? "✅ Notifications **enabled**."
+      : "✅ Notifications **disabled**.",
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("notifytoggle")
+    .setDescription(
+      "🔕 Toggle whether the bot notifies you about earned points",
+    ),
+  permission: null,
+  dmAllowed: true,
+  execute,
+};
@@ -0,0 +1,171 @@
+// commands/permissions.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  CAPABILITIES,
+  PERMISSION_GRANTS,
+  logAdminAction,
+  addPermissionGrant,
+  removePermissionGrant,
+} = require("../core");
+
+/**
+ * The role or user picked in the command as a grant, or null unless
+ * exactly one of them was given.
+ */
+function getGrantFromOptions(options) {
+  const role = options.getRole("role");
+  const targetUser = options.getUser("user");
+  if (!!role === !!targetUser) return null;
+  return {
+    capability: options.getString("capability"),
+    targetType: role ? "role" : "user",
+    targetId: role ? role.id : targetUser.id,
+  };
+}
+
+function describeGrantTarget(grant) {
+  return grant.targetType === "role"
+    ? `<@&${grant.targetId}>`
+    : `<@${grant.targetId}>`;
+}
+
+// ---- /permissions grant => let a role/user use one capability's commands
+async function grant(interaction) {
+  const { options, user, guildId } = interaction;
+  const newGrant = getGrantFromOptions(options);
+  if (!newGrant) {
+    return interaction.reply({
+      content: "❌ Pick either a `role` or a `user`.",
+      ephemeral: true,
+    });
+  }
+  const success = await addPermissionGrant(guildId, newGrant, user.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the permission.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    newGrant.targetType === "user" ? newGrant.targetId : "N/A",
+    `permissions_grant_${newGrant.capability}_${newGrant.targetType}_${newGrant.targetId}`,
+  );
+  return interaction.reply({
+    content: `✅ ${describeGrantTarget(newGrant)} can now use **${CAPABILITIES[newGrant.capability]}** commands.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /permissions revoke => take a capability away again
+async function revoke(interaction) {
+  const { options, user, guildId } = interaction;
+  const oldGrant = getGrantFromOptions(options);
+  if (!oldGrant) {
+    return interaction.reply({
+      content: "❌ Pick either a `role` or a `user`.",
+      ephemeral: true,
+    });
+  }
+  const success = await removePermissionGrant(guildId, oldGrant);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not remove the permission.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    oldGrant.targetType === "user" ? oldGrant.targetId : "N/A",
+    `permissions_revoke_${oldGrant.capability}_${oldGrant.targetType}_${oldGrant.targetId}`,
+  );
+  return interaction.reply({
+    content: `✅ ${describeGrantTarget(oldGrant)} can no longer use **${CAPABILITIES[oldGrant.capability]}** commands (unless another grant or their Discord permissions allow it).`,
+    ephemeral: true,
+  });
+}
+
+// ---- /permissions list => every capability, its commands and who has it
+async function list(interaction) {
+  const { guildId } = interaction;
+  // Required here: commands/index.js loads this module
+  const { commands } = require("./index");
+  const grants = PERMISSION_GRANTS[guildId] || [];
+
+  const embed = new EmbedBuilder()
+    .setTitle("🔑 Bot Permissions")
+    .setColor("Blue")
+    .setDescription(
+      "Server admins can use every command. Grants let other roles/users use one group of commands.",
+    )
+    .addFields(
+      Object.entries(CAPABILITIES).map(([capability, label]) => {
+        const names = commands
+          .filter((command) => command.capability === capability)
+          .map((command) => `/${command.data.name}`)
+          .join(", ");
+        const holders = grants
+          .filter((g) => g.capability === capability)
+          .map(describeGrantTarget)
+          .join(", ");
+        return {
+          name: `${label} (\`${capability}\`)`,
+          value: `Commands: ${names}\nGranted to: ${holders || "nobody"}`,
+        };
+      }),
+    );
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+function addGrantOptions(sub) {
+  return sub
+    .addStringOption((opt) =>
+      opt
+        .setName("capability")
+        .setDescription("Which group of commands")
+        .setRequired(true)
+        .addChoices(
+          ...Object.entries(CAPABILITIES).map(([value, name]) => ({
+            name,
+            value,
+          })),
+        ),
+    )
+    .addRoleOption((opt) =>
+      opt.setName("role").setDescription("Role").setRequired(false),
+    )
+    .addUserOption((opt) =>
+      opt.setName("user").setDescription("User").setRequired(false),
+    );
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("permissions")
+    .setDescription("Choose who can use the bot's admin commands")
+    .addSubcommand((sub) =>
+      addGrantOptions(
+        sub
+          .setName("grant")
+          .setDescription("Let a role or user use a group of commands"),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addGrantOptions(
+        sub
+          .setName("revoke")
+          .setDescription("Take a group of commands away from a role or user"),
+      ),
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("Show every grant"),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  subcommands: { grant, revoke, list },
+};
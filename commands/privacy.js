@@ -0,0 +1,44 @@
+// commands/privacy.js
+const { SlashCommandBuilder } = require("discord.js");
+const { supabase } = require("../core");
+
+// ---- /privacy => choose whether others can see your /profile
+async function execute(interaction) {
+  const { options, user } = interaction;
+  const isPublic = options.getBoolean("public_profile");
+  const { data, error } = await supabase
+    .from("users")
+    .update({ profile_public: isPublic })
+    .eq("discord_id", user.id)
+    .select();
+
+  if (error || !data.length) {
+    return interaction.reply({
+      content: "❌ Could not find your user record. Try /verify first.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: isPublic
+      ? "✅ Your profile is now **public**."
+      : "✅ Your profile is now **private**. Only you and admins can see it.",
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("privacy")
+    .setDescription("🔒 Choose whether others can see your /profile")
+    .addBooleanOption((opt) =>
+      opt
+        .setName("public_profile")
+        .setDescription(
+          "True = anyone can view it, False = only you and admins",
+        )
+        .setRequired(true),
+    ),
+  permission: null,
+  dmAllowed: true,
+  execute,
+};
@@ -0,0 +1,136 @@
+// commands/profile.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  supabase,
+  getScoreConfig,
+  getLeaderboardScope,
+  fetchLeaderboardRank,
+  PROFILE_RECENT_EVENTS,
+  fetchActionBreakdown,
+  fetchRecentActivity,
+  getTodayPoints,
+  joinFieldLines,
+} = require("../core");
+
+// ---- /profile => points, rank, links and recent activity
+async function execute(interaction) {
+  const { options, user, member, guildId } = interaction;
+  const target = options.getUser("user") || user;
+  const isSelf = target.id === user.id;
+
+  const { data: userData, error: userErr } = await supabase
+    .from("users")
+    .select("twitter_handle, twitter_verified, sol_wallet, profile_public")
+    .eq("discord_id", target.id)
+    .maybeSingle();
+  if (userErr) {
+    return interaction.reply({
+      content: "❌ Error fetching the profile.",
+      ephemeral: true,
+    });
+  }
+
+  const isAdmin = member.permissions.has(
+    PermissionsBitField.Flags.Administrator,
+  );
+  if (!isSelf && userData && !userData.profile_public && !isAdmin) {
+    return interaction.reply({
+      content: `🔒 <@${target.id}> keeps their profile private.`,
+      ephemeral: true,
+    });
+  }
+
+  const scope = getLeaderboardScope(guildId, { period: "all" });
+  const [mine, breakdown, recent] = await Promise.all([
+    fetchLeaderboardRank(guildId, scope, target.id),
+    fetchActionBreakdown(guildId, target.id),
+    fetchRecentActivity(guildId, target.id, PROFILE_RECENT_EVENTS),
+  ]);
+  if (!mine || !breakdown || !recent) {
+    return interaction.reply({
+      content: "❌ Error fetching the profile.",
+      ephemeral: true,
+    });
+  }
+  if (!userData && mine.points === null) {
+    return interaction.reply({
+      content: isSelf
+        ? "😕 You have no record yet. /verify to start earning points!"
+        : `😕 <@${target.id}> has no record yet.`,
+      ephemeral: true,
+    });
+  }
+
+  const today = getTodayPoints(guildId, target.id);
+  const config = getScoreConfig(guildId);
+  const twitter = userData?.twitter_verified
+    ? `[@${userData.twitter_handle}](https://twitter.com/${userData.twitter_handle})`
+    : "Not linked";
+
+  // One line per action type; a long history can outgrow the field
+  const breakdownLines = joinFieldLines(
+    breakdown.map(
+      (row) =>
+        `\`${row.action}\` - **${row.points}** pts (${row.events} event${row.events === 1 ? "" : "s"})`,
+    ),
+  );
+  const recentLines = recent
+    .map(
+      (row) =>
+        `${row.points > 0 ? "+" : ""}${row.points} \`${row.action}\` <t:${Math.floor(new Date(row.created_at).getTime() / 1000)}:R>`,
+    )
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setColor("#FFD700")
+    .setTitle(`👤 ${target.username}`)
+    .setThumbnail(target.displayAvatarURL())
+    .addFields(
+      {
+        name: "Gold points",
+        value: `**${mine.points || 0}**`,
+        inline: true,
+      },
+      { name: "Rank", value: `#${mine.rank}`, inline: true },
+      { name: "Twitter", value: twitter, inline: true },
+      {
+        name: "Wallet",
+        value: userData?.sol_wallet ? "✅ Linked" : "❌ Not linked",
+        inline: true,
+      },
+      {
+        name: "Today",
+        value: `💬 ${today.messages}/${config.messageMaxPointsPerDay} message pts\n👍 ${today.reactions}/${config.reactionMaxPointsPerDay} reaction pts`,
+        inline: true,
+      },
+      { name: "Points by activity", value: breakdownLines || "None yet." },
+      { name: "Recent activity", value: recentLines || "None yet." },
+    );
+  const isPrivate = userData?.profile_public === false;
+  if (isSelf) {
+    embed.setFooter({
+      text: `Your profile is ${isPrivate ? "private" : "public"} · /privacy to change`,
+    });
+  }
+
+  // Private profiles (seen by yourself or an admin) aren't posted publicly
+  return interaction.reply({ embeds: [embed], ephemeral: isPrivate });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("profile")
+    .setDescription("👤 Show a points profile")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("Whose profile (leave empty = yours)")
+        .setRequired(false),
+    ),
+  permission: null,
+  execute,
+};
@@ -0,0 +1,100 @@
+// commands/redeem.js
+const { SlashCommandBuilder } = require("discord.js");
+const {
+  botLog,
+  logActivity,
+  awardPoints,
+  applyPointsChange,
+  getShopItem,
+  adjustShopStock,
+  createRedemption,
+} = require("../core");
+
+// ---- /redeem => spend points on a shop item (queued for admin approval)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const itemId = options.getInteger("item");
+  const item = await getShopItem(guildId, itemId);
+  if (!item || !item.active) {
+    return interaction.reply({
+      content: "❌ That item isn't in the shop. See /shop.",
+      ephemeral: true,
+    });
+  }
+
+  // 1. Reserve stock first so two users can't buy the last one
+  const reserved = await adjustShopStock(guildId, item.id, -1);
+  if (!reserved) {
+    return interaction.reply({
+      content: `❌ **${item.name}** is sold out.`,
+      ephemeral: true,
+    });
+  }
+
+  // 2. Debit through the same path as every other points change
+  const result = await awardPoints(
+    guildId,
+    user.id,
+    -item.price,
+    "shop_redeem",
+    { allowNegative: false },
+  );
+  if (result.newPoints === null) {
+    await adjustShopStock(guildId, item.id, 1);
+    return interaction.reply({
+      content: result.insufficient
+        ? `❌ You need **${item.price}** gold points for **${item.name}**.`
+        : "❌ Could not redeem (not verified or error).",
+      ephemeral: true,
+    });
+  }
+
+  // 3. Queue for an admin
+  const redemption = await createRedemption(guildId, user.id, item);
+  if (!redemption) {
+    // Couldn't queue it => undo the purchase
+    const refund = await applyPointsChange(guildId, user.id, {
+      delta: item.price,
+      action: "shop_refund",
+    });
+    if (refund) {
+      await logActivity(guildId, user.id, "shop_refund", item.price);
+    }
+    await adjustShopStock(guildId, item.id, 1);
+    if (!refund) {
+      botLog(
+        `[redeem] Refund of ${item.price} to <@${user.id}> for #${item.id} failed!`,
+        guildId,
+      );
+    }
+    return interaction.reply({
+      content: refund
+        ? "❌ Could not redeem right now. Your points were refunded."
+        : "❌ Could not redeem right now, and the refund failed. Please contact an admin.",
+      ephemeral: true,
+    });
+  }
+
+  botLog(
+    `[redeem] <@${user.id}> redeemed #${item.id} ${item.name} for ${item.price} pts (redemption #${redemption.id}, pending).`,
+    guildId,
+  );
+  return interaction.reply({
+    content: `✅ Redeemed **${item.name}** for **${item.price}** points (now **${result.newPoints}**). An admin will review request **#${redemption.id}** soon.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("redeem")
+    .setDescription("Spend gold points on a shop item")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("item")
+        .setDescription("Item number from /shop")
+        .setRequired(true),
+    ),
+  permission: null,
+  execute,
+};
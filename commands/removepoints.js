@@ -0,0 +1,95 @@
+// commands/removepoints.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  logActivity,
+  logAdminAction,
+  applyPointsChange,
+  describeUndo,
+  getBulkApprovalThreshold,
+} = require("../core");
+const { requestConfirmation } = require("../confirmations");
+
+async function removePoints(
+  guildId,
+  adminId,
+  targetId,
+  points,
+  reason,
+  approvedBy,
+) {
+  // Same atomic path as /setpoints: penalties don't depend on verification
+  const result = await applyPointsChange(guildId, targetId, {
+    delta: -points,
+    action: "manual_removepoints",
+    adminId,
+    allowNegative: false,
+  });
+  if (result?.insufficient) {
+    return `❌ <@${targetId}> doesn't have **${points}** points. Use /setpoints to set an exact balance.`;
+  }
+  if (!result) {
+    return `❌ Could not remove points from <@${targetId}>.`;
+  }
+
+  await logActivity(guildId, targetId, "manual_removepoints", -points);
+
+  const actionId = await logAdminAction(
+    guildId,
+    adminId,
+    targetId,
+    "removepoints",
+    -points,
+    { reason, approvedBy },
+  );
+  return (
+    `✅ Removed **${points}** gold points from <@${targetId}> (now **${result.newPoints}**). Reason: ${reason}` +
+    describeUndo(guildId, actionId)
+  );
+}
+
+// ---- /removepoints => take points from a user (after the admin confirms)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const targetUser = options.getUser("user");
+  const points = options.getInteger("points");
+  const reason = options.getString("reason").trim();
+
+  // One member, so only a threshold of 1 (approve everything) applies
+  const threshold = getBulkApprovalThreshold(guildId);
+  return requestConfirmation(interaction, {
+    summary: `Remove **${points}** gold points from <@${targetUser.id}>.\nReason: ${reason}`,
+    confirmLabel: "Remove points",
+    needsApproval: threshold > 0 && threshold <= 1,
+    run: ({ approvedBy }) =>
+      removePoints(guildId, user.id, targetUser.id, points, reason, approvedBy),
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("removepoints")
+    .setDescription("➖ Remove points from a user (admin only)")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("The user to remove points from")
+        .setRequired(true),
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("points")
+        .setDescription("How many points to remove")
+        .setMinValue(1)
+        .setRequired(true),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("reason")
+        .setDescription("Why (saved in the admin log)")
+        .setMaxLength(200)
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
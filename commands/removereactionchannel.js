@@ -0,0 +1,41 @@
+// commands/removereactionchannel.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { removeReactionChannel } = require("../core");
+
+// ---- /removereactionchannel => remove from DB
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  if (!channel) {
+    return interaction.reply({
+      content: "❌ Invalid channel.",
+      ephemeral: true,
+    });
+  }
+  const success = await removeReactionChannel(guildId, channel.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not remove channel.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Removed <#${channel.id}> from reaction channels.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("removereactionchannel")
+    .setDescription("➖ Remove a channel from the reaction-points list")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Which channel to remove?")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "channels",
+  execute,
+};
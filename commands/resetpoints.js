@@ -0,0 +1,72 @@
+// commands/resetpoints.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  supabase,
+  logAdminAction,
+  applyPointsChange,
+  describeUndo,
+} = require("../core");
+const { requestConfirmation } = require("../confirmations");
+
+async function resetPoints(guildId, adminId, targetId) {
+  // Same atomic path as awardPoints, so a concurrent award isn't lost
+  const change = await applyPointsChange(guildId, targetId, {
+    setTo: 0,
+    action: "resetpoints",
+    adminId,
+  });
+  if (!change) {
+    return "❌ Could not reset points.";
+  }
+  const actionId = await logAdminAction(
+    guildId,
+    adminId,
+    targetId,
+    "resetpoints",
+    -change.oldPoints,
+  );
+  return (
+    `✅ Reset gold points for <@${targetId}> (was ${change.oldPoints}).` +
+    describeUndo(guildId, actionId)
+  );
+}
+
+// ---- /resetpoints => set gold_points = 0 (after the admin confirms)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const targetId = options.getUser("user").id;
+  const { data: member, error } = await supabase
+    .from("guild_members")
+    .select("gold_points")
+    .eq("guild_id", guildId)
+    .eq("discord_id", targetId)
+    .maybeSingle();
+
+  if (error || !member) {
+    return interaction.reply({
+      content: "❌ That user doesn't exist or wasn't found.",
+      ephemeral: true,
+    });
+  }
+
+  return requestConfirmation(interaction, {
+    summary: `Reset <@${targetId}>'s gold points from **${member.gold_points || 0}** to **0**.`,
+    confirmLabel: "Reset points",
+    run: () => resetPoints(guildId, user.id, targetId),
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("resetpoints")
+    .setDescription("🔄 Reset a user's points to 0 (admin only)")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("The user whose points to reset")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
@@ -0,0 +1,183 @@
+// commands/rolerewards.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  ROLE_REWARDS,
+  botLog,
+  logAdminAction,
+  setRoleReward,
+  removeRoleReward,
+  applyRewardRoles,
+  fetchGuildBalances,
+} = require("../core");
+
+// ---- /rolerewards add => grant a role at a point threshold
+async function add(interaction) {
+  const { options, user, guildId } = interaction;
+  const role = options.getRole("role");
+  const points = options.getInteger("points");
+  if (role.id === guildId || role.managed) {
+    return interaction.reply({
+      content: "❌ That role can't be given out as a reward.",
+      ephemeral: true,
+    });
+  }
+  if (!role.editable) {
+    return interaction.reply({
+      content: `❌ I can't manage <@&${role.id}>. Move my role above it and give me Manage Roles.`,
+      ephemeral: true,
+    });
+  }
+  const success = await setRoleReward(guildId, role.id, points);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the role reward.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    "N/A",
+    `rolerewards_add_${role.id}`,
+    points,
+  );
+  return interaction.reply({
+    content: `✅ <@&${role.id}> is now given at **${points}** points. Run /rolerewards resync to apply it to existing members.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /rolerewards remove => stop granting a role
+async function remove(interaction) {
+  const { options, user, guildId } = interaction;
+  const role = options.getRole("role");
+  const success = await removeRoleReward(guildId, role.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not remove the role reward.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    "N/A",
+    `rolerewards_remove_${role.id}`,
+  );
+  return interaction.reply({
+    content: `✅ <@&${role.id}> is no longer a reward. Members keep it until you remove it.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /rolerewards list => every tier
+async function list(interaction) {
+  const { guildId } = interaction;
+  const tiers = (ROLE_REWARDS[guildId] || [])
+    .map((tier) => `**${tier.points}** points → <@&${tier.roleId}>`)
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle("🎖️ Role Rewards")
+    .setColor("Blue")
+    .setDescription(tiers || "No role rewards yet.");
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// ---- /rolerewards resync => reconcile every member's reward roles
+async function resync(interaction) {
+  const { user, guildId } = interaction;
+  if (!(ROLE_REWARDS[guildId] || []).length) {
+    return interaction.reply({
+      content: "❌ No role rewards to sync.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const balances = await fetchGuildBalances(guildId);
+  if (!balances) {
+    return interaction.editReply({ content: "❌ Error fetching balances." });
+  }
+  let guildMembers;
+  try {
+    guildMembers = await interaction.guild.members.fetch();
+  } catch (err) {
+    console.error("[rolerewards] Error fetching members:", err);
+    return interaction.editReply({ content: "❌ Could not fetch members." });
+  }
+
+  let added = 0;
+  let removed = 0;
+  let failCount = 0;
+  for (const [memberId, guildMember] of guildMembers) {
+    if (guildMember.user.bot) continue;
+    try {
+      const result = await applyRewardRoles(
+        guildMember,
+        balances.get(memberId) || 0,
+      );
+      added += result.added;
+      removed += result.removed;
+    } catch (err) {
+      failCount++;
+      botLog(`[rolerewards] Could not update <@${memberId}>: ${err}`, guildId);
+    }
+  }
+
+  await logAdminAction(guildId, user.id, "N/A", "rolerewards_resync");
+  return interaction.editReply({
+    content: `✅ Resynced reward roles: **${added}** added, **${removed}** removed, **${failCount}** failed.`,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("rolerewards")
+    .setDescription("🎖️ Roles given at point thresholds (admin only)")
+    .addSubcommand((sub) =>
+      sub
+        .setName("add")
+        .setDescription("Give a role once members reach a number of points")
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("The reward role")
+            .setRequired(true),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("points")
+            .setDescription("Points needed for the role")
+            .setMinValue(1)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Stop giving a role as a reward")
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("The reward role")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("List the reward tiers"),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("resync")
+        .setDescription("Add/remove reward roles for every member"),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  subcommands: { add, remove, list, resync },
+};
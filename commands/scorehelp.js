@@ -0,0 +1,30 @@
+// commands/scorehelp.js
+const { SlashCommandBuilder } = require("discord.js");
+const { getScoreConfig } = require("../core");
+
+// ---- /scorehelp => how this server pays points (its own config)
+async function execute(interaction) {
+  const { guildId } = interaction;
+  const config = getScoreConfig(guildId);
+  const helpMsg = `
+**Scoring Rules:**
+• **Messages**: ${config.messageReward} point(s) per ${config.messagesPerPoint} messages, up to ${config.messageMaxPointsPerDay} pts/day
+  (very short, repeated, emoji-only or rapid-fire messages don't count; some channels may pay differently)
+• **Reactions (Announcements)**: ${config.reactionPoints} points, once per message, up to ${config.reactionMaxPointsPerDay} pts/day
+• **Connect Wallet**: ${config.connectWalletPoints} points
+• **Like**: ${config.likePoints} points
+• **Retweet**: ${config.retweetPoints} points
+• **Quote Retweet**: ${config.quoteRetweetPoints} points
+• **Reply**: ${config.replyPoints} points (at least ${config.replyMinLength} characters, no copy-paste)
+`;
+  return interaction.reply({ content: helpMsg, ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("scorehelp")
+    .setDescription("💡 Show how points are awarded"),
+  permission: null,
+  dmAllowed: true,
+  execute,
+};
@@ -0,0 +1,140 @@
+// commands/season.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  supabase,
+  botLog,
+  logAdminAction,
+  getOpenSeason,
+  findSeason,
+  listSeasons,
+  endSeason,
+} = require("../core");
+
+// ---- /season start => open a new season
+async function start(interaction) {
+  const { options, user, guildId } = interaction;
+  const name = options.getString("name").trim();
+  if (name.toLowerCase() === "current") {
+    return interaction.reply({
+      content: "❌ `current` is reserved, pick another name.",
+      ephemeral: true,
+    });
+  }
+
+  const open = await getOpenSeason(guildId);
+  if (open) {
+    return interaction.reply({
+      content: `❌ Season **${open.name}** is still running. End it with /season end first.`,
+      ephemeral: true,
+    });
+  }
+  if (await findSeason(guildId, name)) {
+    return interaction.reply({
+      content: `❌ There is already a season called **${name}**.`,
+      ephemeral: true,
+    });
+  }
+
+  const { error } = await supabase
+    .from("seasons")
+    .insert([{ guild_id: guildId, name, started_by: user.id }]);
+  if (error) {
+    botLog(`[season] Error starting season: ${error.message}`, guildId);
+    return interaction.reply({
+      content: "❌ Could not start the season.",
+      ephemeral: true,
+    });
+  }
+
+  await logAdminAction(guildId, user.id, "N/A", `season_start_${name}`);
+  return interaction.reply(
+    `🏁 Season **${name}** has started! Everyone starts from 0 on \`/leaderboard season:current\` - lifetime points are kept.`,
+  );
+}
+
+// ---- /season end => close the open season and snapshot the standings
+async function end(interaction) {
+  const { user, guildId } = interaction;
+  await interaction.deferReply();
+
+  const result = await endSeason(guildId, user.id);
+  if (!result) {
+    return interaction.editReply("❌ There is no season running.");
+  }
+  await logAdminAction(
+    guildId,
+    user.id,
+    "N/A",
+    `season_end_${result.season.name}`,
+  );
+
+  const podium = result.standings
+    .slice(0, 3)
+    .map(
+      (u) =>
+        `${["🥇", "🥈", "🥉"][u.rank - 1]} <@${u.discord_id}> - **${u.points}** gold points`,
+    )
+    .join("\n");
+  return interaction.editReply(
+    `🏆 Season **${result.season.name}** is over! ${result.standings.length} member(s) ranked.\n${podium}`,
+  );
+}
+
+// ---- /season list => past and current seasons
+async function list(interaction) {
+  const { guildId } = interaction;
+  const seasons = await listSeasons(guildId);
+  if (!seasons) {
+    return interaction.reply({
+      content: "❌ Error fetching seasons.",
+      ephemeral: true,
+    });
+  }
+  const lines = seasons
+    .map(
+      (season) =>
+        `**${season.name}** - ${season.started_at.slice(0, 10)} → ${season.ended_at ? season.ended_at.slice(0, 10) : "now"}`,
+    )
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle("📅 Seasons")
+    .setColor("Blue")
+    .setDescription(lines || "No seasons yet.");
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("season")
+    .setDescription("Seasonal leaderboards")
+    .addSubcommand((sub) =>
+      sub
+        .setName("start")
+        .setDescription("Start a new season (admin only)")
+        .addStringOption((opt) =>
+          opt
+            .setName("name")
+            .setDescription("Season name, e.g. Season 1")
+            .setMaxLength(50)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("end")
+        .setDescription(
+          "End the current season and save the standings (admin only)",
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("List past and current seasons"),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  subcommandPermissions: { list: null },
+  subcommands: { start, end, list },
+};
@@ -0,0 +1,41 @@
+// commands/setbotlogchannel.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { setGuildSetting } = require("../core");
+
+// ---- /setbotlogchannel => for logging
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  if (!channel) {
+    return interaction.reply({
+      content: "❌ Invalid channel.",
+      ephemeral: true,
+    });
+  }
+  const success = await setGuildSetting(guildId, "botLogChannel", channel.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the bot log channel.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Bot log channel => <#${channel.id}>.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setbotlogchannel")
+    .setDescription("📜 Set the channel for bot logs")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Channel to send bot logs to")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "channels",
+  execute,
+};
@@ -0,0 +1,107 @@
+// commands/setpoints.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const {
+  supabase,
+  logActivity,
+  logAdminAction,
+  applyPointsChange,
+  describeUndo,
+  getBulkApprovalThreshold,
+} = require("../core");
+const { requestConfirmation } = require("../confirmations");
+
+async function setPoints(
+  guildId,
+  adminId,
+  targetId,
+  points,
+  reason,
+  approvedBy,
+) {
+  // Same atomic path as awardPoints, so a concurrent award isn't lost
+  const change = await applyPointsChange(guildId, targetId, {
+    setTo: points,
+    action: "manual_setpoints",
+    adminId,
+  });
+  if (!change) {
+    return "❌ Could not set points.";
+  }
+
+  // Logged as a delta so period/category leaderboards stay consistent
+  const delta = change.newPoints - change.oldPoints;
+  if (delta !== 0) {
+    await logActivity(guildId, targetId, "manual_setpoints", delta);
+  }
+  const actionId = await logAdminAction(
+    guildId,
+    adminId,
+    targetId,
+    "setpoints",
+    delta,
+    { reason, approvedBy },
+  );
+  return (
+    `✅ <@${targetId}> now has **${change.newPoints}** gold points (was ${change.oldPoints}). Reason: ${reason}` +
+    describeUndo(guildId, actionId)
+  );
+}
+
+// ---- /setpoints => set a user's balance to an exact number (after the admin confirms)
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const targetUser = options.getUser("user");
+  const points = options.getInteger("points");
+  const reason = options.getString("reason").trim();
+  const { data: member, error } = await supabase
+    .from("guild_members")
+    .select("gold_points")
+    .eq("guild_id", guildId)
+    .eq("discord_id", targetUser.id)
+    .maybeSingle();
+  if (error) {
+    return interaction.reply({
+      content: "❌ Could not look up the current balance.",
+      ephemeral: true,
+    });
+  }
+
+  // One member, so only a threshold of 1 (approve everything) applies
+  const threshold = getBulkApprovalThreshold(guildId);
+  return requestConfirmation(interaction, {
+    summary: `Set <@${targetUser.id}>'s gold points from **${member?.gold_points || 0}** to **${points}**.\nReason: ${reason}`,
+    confirmLabel: "Set points",
+    needsApproval: threshold > 0 && threshold <= 1,
+    run: ({ approvedBy }) =>
+      setPoints(guildId, user.id, targetUser.id, points, reason, approvedBy),
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setpoints")
+    .setDescription("✏️ Set a user's points to an exact number (admin only)")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("The user whose points to set")
+        .setRequired(true),
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("points")
+        .setDescription("Their new balance")
+        .setMinValue(0)
+        .setRequired(true),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("reason")
+        .setDescription("Why (saved in the admin log)")
+        .setMaxLength(200)
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
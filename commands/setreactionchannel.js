@@ -0,0 +1,41 @@
+// commands/setreactionchannel.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { addReactionChannel } = require("../core");
+
+// ---- /setreactionchannel => store in DB
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  if (!channel) {
+    return interaction.reply({
+      content: "❌ Invalid channel.",
+      ephemeral: true,
+    });
+  }
+  const success = await addReactionChannel(guildId, channel.id);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not add channel.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ <#${channel.id}> now awards reaction points.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setreactionchannel")
+    .setDescription("➕ Add a channel to the reaction-points list")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Which channel should give reaction points?")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "channels",
+  execute,
+};
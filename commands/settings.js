@@ -0,0 +1,205 @@
+// commands/settings.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  REACTION_CHANNELS,
+  MESSAGE_CHANNEL_RULES,
+  GUILD_SCORE_CONFIG,
+  describeMessageChannelRule,
+  getGuildSetting,
+  setGuildSetting,
+  isValidTimezone,
+  getGuildDate,
+  getUndoWindowMinutes,
+  getBulkApprovalThreshold,
+  joinFieldLines,
+} = require("../core");
+
+// ---- /settings show => print this guild's bot configuration
+async function show(interaction) {
+  const { guildId } = interaction;
+  const showChannel = (id) => (id ? `<#${id}>` : "_not set_");
+  const reactionChannels = REACTION_CHANNELS[guildId] || [];
+  const scoreOverrides = Object.keys(GUILD_SCORE_CONFIG[guildId] || {});
+
+  const embed = new EmbedBuilder()
+    .setTitle("⚙️ Bot Settings")
+    .setColor("Blue")
+    .addFields(
+      {
+        name: "Bot log channel",
+        value: showChannel(getGuildSetting(guildId, "botLogChannel")),
+      },
+      {
+        name: "Tweet updates channel",
+        value: showChannel(getGuildSetting(guildId, "tweetUpdatesChannel")),
+      },
+      {
+        name: "Timezone (daily limits reset at midnight)",
+        value: getGuildSetting(guildId, "timezone") || "UTC",
+      },
+      {
+        name: "Undo window (/undo)",
+        value: `${getUndoWindowMinutes(guildId)} minute(s)`,
+      },
+      {
+        name: "Second admin approval",
+        value: getBulkApprovalThreshold(guildId)
+          ? `Bulk changes reaching ${getBulkApprovalThreshold(guildId)} member(s)`
+          : "_off_",
+      },
+      {
+        name: "Reaction channels",
+        value: joinFieldLines(reactionChannels.map(showChannel)) || "_none_",
+      },
+      {
+        name: "Message channel rules",
+        value:
+          joinFieldLines(
+            Object.entries(MESSAGE_CHANNEL_RULES[guildId] || {}).map(
+              ([channelId, rule]) =>
+                `${showChannel(channelId)}: ${describeMessageChannelRule(rule)}`,
+            ),
+          ) || "_none_",
+      },
+      {
+        name: "Score overrides",
+        value: scoreOverrides.length
+          ? `${scoreOverrides.join(", ")} (see /viewscores)`
+          : "_defaults_",
+      },
+    );
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// ---- /settings timezone => when the guild's "day" starts for daily limits
+async function timezone(interaction) {
+  const { options, guildId } = interaction;
+  const timezone = options.getString("timezone").trim();
+  if (!isValidTimezone(timezone)) {
+    return interaction.reply({
+      content:
+        "❌ Unknown timezone. Use an IANA name like `UTC` or `America/New_York`.",
+      ephemeral: true,
+    });
+  }
+  const success = await setGuildSetting(guildId, "timezone", timezone);
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the timezone.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Daily limits now reset at midnight **${timezone}** (today is ${getGuildDate(guildId)}).`,
+    ephemeral: true,
+  });
+}
+
+// ---- /settings undowindow => how long admin points changes can be undone
+async function undowindow(interaction) {
+  const { options, guildId } = interaction;
+  const minutes = options.getInteger("minutes");
+  const success = await setGuildSetting(
+    guildId,
+    "undoWindowMinutes",
+    String(minutes),
+  );
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the undo window.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Admin points changes can now be undone for **${minutes}** minute(s).`,
+    ephemeral: true,
+  });
+}
+
+// ---- /settings bulkapproval => bulk points changes that need a second admin
+async function bulkapproval(interaction) {
+  const { options, guildId } = interaction;
+  const members = options.getInteger("members");
+  const success = await setGuildSetting(
+    guildId,
+    "bulkApprovalMembers",
+    String(members),
+  );
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the approval threshold.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: members
+      ? `✅ Role-wide /addpoints and /importpoints reaching **${members}** member(s) now need a second admin's approval.`
+      : "✅ Bulk points changes no longer need a second admin's approval.",
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("settings")
+    .setDescription(
+      "⚙️ View or change the bot settings for this server (admin/mod only)",
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("show")
+        .setDescription("Show log/tweet/reaction channels and score overrides"),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("timezone")
+        .setDescription("Set when the day starts for daily point limits")
+        .addStringOption((opt) =>
+          opt
+            .setName("timezone")
+            .setDescription("IANA timezone, e.g. UTC or America/New_York")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("undowindow")
+        .setDescription("Set how long admin points changes can be undone")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("minutes")
+            .setDescription("Minutes after the change (default 60)")
+            .setMinValue(1)
+            .setMaxValue(10080)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("bulkapproval")
+        .setDescription("Require a second admin for large bulk points changes")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("members")
+            .setDescription(
+              "Members affected before approval is needed (0 = off)",
+            )
+            .setMinValue(0)
+            .setRequired(true),
+        ),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "channels",
+  // Points safeguards: real admins only, no grant can change them
+  subcommandPermissions: {
+    undowindow: PermissionsBitField.Flags.Administrator,
+    bulkapproval: PermissionsBitField.Flags.Administrator,
+  },
+  subcommandCapabilities: { undowindow: null, bulkapproval: null },
+  subcommands: { show, timezone, undowindow, bulkapproval },
+};
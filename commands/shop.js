@@ -0,0 +1,39 @@
+// commands/shop.js
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const {
+  describeShopItem,
+  listShopItems,
+  EMBED_DESCRIPTION_LIMIT,
+  joinFieldLines,
+} = require("../core");
+
+// ---- /shop => list what points can be spent on
+async function execute(interaction) {
+  const { guildId } = interaction;
+  const items = await listShopItems(guildId);
+  if (!items) {
+    return interaction.reply({
+      content: "❌ Error fetching the shop.",
+      ephemeral: true,
+    });
+  }
+  const embed = new EmbedBuilder()
+    .setTitle("🛒 Points Shop")
+    .setColor("#FFD700")
+    .setDescription(
+      joinFieldLines(items.map(describeShopItem), {
+        limit: EMBED_DESCRIPTION_LIMIT,
+        separator: "\n\n",
+      }) || "The shop is empty.",
+    )
+    .setFooter({ text: "Use /redeem item:<#> to buy" });
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("shop")
+    .setDescription("🛒 See what you can spend your gold points on"),
+  permission: null,
+  execute,
+};
@@ -0,0 +1,343 @@
+// commands/shopadmin.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const {
+  botLog,
+  logActivity,
+  logAdminAction,
+  applyPointsChange,
+  describeShopItem,
+  createShopItem,
+  updateShopItem,
+  adjustShopStock,
+  listPendingRedemptions,
+  reviewRedemption,
+  EMBED_DESCRIPTION_LIMIT,
+  joinFieldLines,
+} = require("../core");
+
+// Keeps each item short in /shop (the listing itself is capped to one embed)
+const SHOP_NAME_MAX_LENGTH = 80;
+const SHOP_DESCRIPTION_MAX_LENGTH = 200;
+
+// ---- /shopadmin add => new catalog item
+async function add(interaction) {
+  const { options, user, guildId } = interaction;
+  const rewardType = options.getString("type");
+  const role = options.getRole("role");
+  if (rewardType === "role" && !role) {
+    return interaction.reply({
+      content: "❌ Role rewards need the `role` option.",
+      ephemeral: true,
+    });
+  }
+  if (role && (role.id === guildId || role.managed || !role.editable)) {
+    return interaction.reply({
+      content: `❌ I can't give out <@&${role.id}>.`,
+      ephemeral: true,
+    });
+  }
+
+  const item = await createShopItem(guildId, {
+    name: options.getString("name"),
+    description: options.getString("description"),
+    reward_type: rewardType,
+    role_id: rewardType === "role" ? role.id : null,
+    price: options.getInteger("price"),
+    stock: options.getInteger("stock"),
+  });
+  if (!item) {
+    return interaction.reply({
+      content: "❌ Could not add the item.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(guildId, user.id, "N/A", `shop_add_${item.id}`);
+  return interaction.reply({
+    content: `✅ Added to the shop:\n${describeShopItem(item)}`,
+    ephemeral: true,
+  });
+}
+
+// ---- /shopadmin remove => take an item out of the shop
+async function remove(interaction) {
+  const { options, user, guildId } = interaction;
+  const itemId = options.getInteger("item");
+  const success = await updateShopItem(guildId, itemId, { active: false });
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not remove that item.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(guildId, user.id, "N/A", `shop_remove_${itemId}`);
+  return interaction.reply({
+    content: `✅ Item #${itemId} removed from the shop. Pending redemptions stay in the queue.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /shopadmin stock => set how many are left
+async function stock(interaction) {
+  const { options, user, guildId } = interaction;
+  const itemId = options.getInteger("item");
+  const stock = options.getInteger("stock");
+  const success = await updateShopItem(guildId, itemId, { stock });
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not update that item.",
+      ephemeral: true,
+    });
+  }
+  await logAdminAction(guildId, user.id, "N/A", `shop_stock_${itemId}`, stock);
+  return interaction.reply({
+    content: `✅ Item #${itemId} stock => ${stock === null ? "unlimited" : stock}.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /shopadmin pending => redemptions waiting for review
+async function pending(interaction) {
+  const { guildId } = interaction;
+  const pending = await listPendingRedemptions(guildId);
+  if (!pending) {
+    return interaction.reply({
+      content: "❌ Error fetching redemptions.",
+      ephemeral: true,
+    });
+  }
+  const lines = joinFieldLines(
+    pending.map(
+      (r) =>
+        `**#${r.id}** <@${r.discord_id}> - ${r.shop_items?.name} (${r.price} pts)`,
+    ),
+    { limit: EMBED_DESCRIPTION_LIMIT },
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle("📬 Pending Redemptions")
+    .setColor("Blue")
+    .setDescription(lines || "Nothing to review.");
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// ---- /shopadmin approve => deliver a redemption
+async function approve(interaction) {
+  const { options, user, guildId } = interaction;
+  const redemptionId = options.getInteger("redemption");
+  const redemption = await reviewRedemption(
+    guildId,
+    redemptionId,
+    "approved",
+    user.id,
+    options.getString("note"),
+  );
+  if (!redemption) {
+    return interaction.reply({
+      content: "❌ No pending redemption with that number.",
+      ephemeral: true,
+    });
+  }
+
+  let delivery = "Deliver it to them manually.";
+  if (redemption.shop_items?.reward_type === "role") {
+    try {
+      const target = await interaction.guild.members.fetch(
+        redemption.discord_id,
+      );
+      await target.roles.add(
+        redemption.shop_items.role_id,
+        `Shop redemption #${redemption.id}`,
+      );
+      delivery = `Gave them <@&${redemption.shop_items.role_id}>.`;
+    } catch (err) {
+      botLog(`[shopadmin] Could not give shop role: ${err}`, guildId);
+      delivery = "⚠️ Could not give the role automatically, please add it.";
+    }
+  }
+
+  await logAdminAction(
+    guildId,
+    user.id,
+    redemption.discord_id,
+    `shop_approve_${redemption.id}`,
+  );
+  return interaction.reply({
+    content: `✅ Approved #${redemption.id} (${redemption.shop_items?.name}) for <@${redemption.discord_id}>. ${delivery}`,
+    ephemeral: true,
+  });
+}
+
+// ---- /shopadmin reject => refund a redemption
+async function reject(interaction) {
+  const { options, user, guildId } = interaction;
+  const redemptionId = options.getInteger("redemption");
+  const redemption = await reviewRedemption(
+    guildId,
+    redemptionId,
+    "rejected",
+    user.id,
+    options.getString("note"),
+  );
+  if (!redemption) {
+    return interaction.reply({
+      content: "❌ No pending redemption with that number.",
+      ephemeral: true,
+    });
+  }
+
+  // Refunds skip the Twitter check: the points were theirs to begin with
+  const refund = await applyPointsChange(guildId, redemption.discord_id, {
+    delta: redemption.price,
+    action: "shop_refund",
+    adminId: user.id,
+  });
+  if (refund) {
+    await logActivity(
+      guildId,
+      redemption.discord_id,
+      "shop_refund",
+      redemption.price,
+    );
+  }
+  await adjustShopStock(guildId, redemption.item_id, 1);
+  await logAdminAction(
+    guildId,
+    user.id,
+    redemption.discord_id,
+    `shop_reject_${redemption.id}`,
+    redemption.price,
+  );
+  if (!refund) {
+    botLog(
+      `[shopadmin] Refund of ${redemption.price} for redemption #${redemption.id} failed!`,
+      guildId,
+    );
+    return interaction.reply({
+      content: `⚠️ Rejected #${redemption.id}, but the refund failed. <@${redemption.discord_id}> is still owed **${redemption.price}** points; check the bot log, then correct their balance with /setpoints.`,
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Rejected #${redemption.id} and refunded **${redemption.price}** points to <@${redemption.discord_id}>.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("shopadmin")
+    .setDescription("Manage the points shop (admin only)")
+    .addSubcommand((sub) =>
+      sub
+        .setName("add")
+        .setDescription("Add an item to the shop")
+        .addStringOption((opt) =>
+          opt
+            .setName("name")
+            .setDescription("Item name")
+            .setMaxLength(SHOP_NAME_MAX_LENGTH)
+            .setRequired(true),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("price")
+            .setDescription("Price in gold points")
+            .setMinValue(1)
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("type")
+            .setDescription("What the user gets")
+            .setRequired(true)
+            .addChoices(
+              { name: "Discord role", value: "role" },
+              { name: "Whitelist spot", value: "whitelist" },
+              { name: "Custom", value: "custom" },
+            ),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("stock")
+            .setDescription("How many are available (leave empty = unlimited)")
+            .setMinValue(0)
+            .setRequired(false),
+        )
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("Role to give (for role items)")
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("description")
+            .setDescription("Shown in /shop")
+            .setMaxLength(SHOP_DESCRIPTION_MAX_LENGTH)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Take an item out of the shop")
+        .addIntegerOption((opt) =>
+          opt.setName("item").setDescription("Item number").setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("stock")
+        .setDescription("Set how many of an item are left")
+        .addIntegerOption((opt) =>
+          opt.setName("item").setDescription("Item number").setRequired(true),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("stock")
+            .setDescription("Items left (leave empty = unlimited)")
+            .setMinValue(0)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub.setName("pending").setDescription("List redemptions to review"),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("approve")
+        .setDescription("Approve a redemption (gives the role for role items)")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("redemption")
+            .setDescription("Redemption number")
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("note")
+            .setDescription("Optional note")
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("reject")
+        .setDescription("Reject a redemption and refund the points")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("redemption")
+            .setDescription("Redemption number")
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt.setName("note").setDescription("Reason").setRequired(false),
+        ),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  subcommands: { add, remove, stock, pending, approve, reject },
+};
@@ -0,0 +1,45 @@
+// commands/tweeterupdates.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { setGuildSetting } = require("../core");
+
+// ---- /tweeterupdates => channel for new tweets
+async function execute(interaction) {
+  const { options, guildId } = interaction;
+  const channel = options.getChannel("channel");
+  if (!channel) {
+    return interaction.reply({
+      content: "❌ Invalid channel.",
+      ephemeral: true,
+    });
+  }
+  const success = await setGuildSetting(
+    guildId,
+    "tweetUpdatesChannel",
+    channel.id,
+  );
+  if (!success) {
+    return interaction.reply({
+      content: "❌ Could not save the tweet updates channel.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content: `✅ Tweet updates channel => <#${channel.id}>.`,
+    ephemeral: true,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("tweeterupdates")
+    .setDescription("🐦 Set the channel for new tweet announcements")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Channel to announce new tweets")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  capability: "twitter",
+  execute,
+};
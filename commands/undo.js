@@ -0,0 +1,46 @@
+// commands/undo.js
+const { SlashCommandBuilder, PermissionsBitField } = require("discord.js");
+const { botLog, undoAdminAction } = require("../core");
+
+// ---- /undo => reverse a recent points change by its action ID
+async function execute(interaction) {
+  const { options, user, guildId } = interaction;
+  const actionId = options.getString("action_id").trim().toLowerCase();
+
+  await interaction.deferReply({ ephemeral: true });
+  const result = await undoAdminAction(guildId, actionId, user.id);
+  if (result.error) {
+    return interaction.editReply({ content: `❌ ${result.error}` });
+  }
+
+  botLog(
+    `[undo] <@${user.id}> undid ${result.action} \`${actionId}\`: ${result.reversed} reversed, ${result.failed.length} failed.`,
+    guildId,
+  );
+  const failed = result.failed.length
+    ? `\n**${result.failed.length}** couldn't be reversed (points already spent?): ${result.failed
+        .slice(0, 20)
+        .map((id) => `<@${id}>`)
+        .join(", ")}. Run /undo again to retry them.`
+    : "";
+  return interaction.editReply({
+    content: `↩️ Undid \`${actionId}\` (${result.action}): **${result.reversed}** change(s) reversed.${failed}`,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("undo")
+    .setDescription(
+      "↩️ Reverse a recent points change by its action ID (admin only)",
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("action_id")
+        .setDescription("The action ID shown when the change was made")
+        .setRequired(true),
+    ),
+  permission: PermissionsBitField.Flags.Administrator,
+  capability: "points",
+  execute,
+};
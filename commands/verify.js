@@ -0,0 +1,157 @@
+// commands/verify.js
+const { SlashCommandBuilder } = require("discord.js");
+const {
+  supabase,
+  VERIFY_CODE_TTL_MINUTES,
+  botLog,
+  createVerificationChallenge,
+  getVerificationChallenge,
+  deleteVerificationChallenge,
+  checkVerificationCode,
+  ensureGuildMember,
+} = require("../core");
+
+// ---- /verify start => issue a one-time code for the user's Twitter
+async function start(interaction) {
+  const { options, user } = interaction;
+  const twitterHandle = options
+    .getString("twitter_handle")
+    .trim()
+    .replace(/^@/, "");
+  if (!/^[A-Za-z0-9_]{1,15}$/.test(twitterHandle)) {
+    return interaction.reply({
+      content: "❌ That doesn't look like a valid Twitter handle.",
+      ephemeral: true,
+    });
+  }
+
+  const code = await createVerificationChallenge(user.id, twitterHandle);
+  if (!code) {
+    return interaction.reply({
+      content: "⚠️ Error linking your Twitter. Please try again.",
+      ephemeral: true,
+    });
+  }
+  return interaction.reply({
+    content:
+      `🔐 Your verification code for \`@${twitterHandle}\` is \`${code}\`.\n` +
+      `Put it in your Twitter bio or tweet it from that account, then run **/verify confirm** ` +
+      `within ${VERIFY_CODE_TTL_MINUTES} minutes.`,
+    ephemeral: true,
+  });
+}
+
+// ---- /verify confirm => check the code on Twitter and link the account
+async function confirm(interaction) {
+  const { user, guildId } = interaction;
+  const challenge = await getVerificationChallenge(user.id);
+  if (!challenge) {
+    return interaction.reply({
+      content: "❌ No pending verification. Run /verify start first.",
+      ephemeral: true,
+    });
+  }
+  const ageMs = Date.now() - new Date(challenge.created_at).getTime();
+  if (ageMs > VERIFY_CODE_TTL_MINUTES * 60 * 1000) {
+    await deleteVerificationChallenge(user.id);
+    return interaction.reply({
+      content: "⌛ Your code expired. Run /verify start to get a new one.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  let check;
+  try {
+    check = await checkVerificationCode(
+      challenge.twitter_handle,
+      challenge.code,
+    );
+  } catch (err) {
+    botLog(`[verify] Twitter lookup failed for ${user.id}: ${err}`, guildId);
+    return interaction.editReply({
+      content: "⚠️ Could not reach Twitter. Please try again later.",
+    });
+  }
+  if (!check.twitterUser) {
+    return interaction.editReply({
+      content: `❌ Twitter account \`@${challenge.twitter_handle}\` was not found.`,
+    });
+  }
+  if (!check.found) {
+    return interaction.editReply({
+      content: `❌ Couldn't find \`${challenge.code}\` in the bio or recent tweets of \`@${challenge.twitter_handle}\`.`,
+    });
+  }
+
+  // A Twitter account can only be linked to one Discord user
+  const { data: owner } = await supabase
+    .from("users")
+    .select("discord_id")
+    .eq("twitter_id", check.twitterUser.id)
+    .eq("twitter_verified", true)
+    .neq("discord_id", user.id)
+    .maybeSingle();
+  if (owner) {
+    return interaction.editReply({
+      content: "❌ That Twitter account is already linked to another user.",
+    });
+  }
+
+  const { error } = await supabase.from("users").upsert(
+    [
+      {
+        discord_id: user.id,
+        twitter_id: check.twitterUser.id,
+        twitter_handle: check.twitterUser.username,
+        twitter_verified: true,
+      },
+    ],
+    { onConflict: "discord_id" },
+  );
+  if (error) {
+    return interaction.editReply({
+      content: "⚠️ Error linking your Twitter. Please try again.",
+    });
+  }
+  await deleteVerificationChallenge(user.id);
+  if (guildId) {
+    // So the Twitter poller pays this guild even before any other activity
+    await ensureGuildMember(guildId, user.id);
+  }
+  botLog(
+    `[verify] ${user.tag} verified @${check.twitterUser.username} (${check.twitterUser.id}).`,
+    guildId,
+  );
+  return interaction.editReply({
+    content: `✅ Verified and linked Twitter account \`@${check.twitterUser.username}\`! You can remove the code now.`,
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("verify")
+    .setDescription("🔗 Link your Twitter account")
+    .addSubcommand((sub) =>
+      sub
+        .setName("start")
+        .setDescription("Get a one-time code to prove you own the account")
+        .addStringOption((opt) =>
+          opt
+            .setName("twitter_handle")
+            .setDescription("Your Twitter handle (without @)")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("confirm")
+        .setDescription(
+          "Check the code in your bio or tweet and link the account",
+        ),
+    ),
+  permission: null,
+  dmAllowed: true,
+  subcommands: { start, confirm },
+};
@@ -0,0 +1,36 @@
+// commands/viewscores.js
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  EmbedBuilder,
+} = require("discord.js");
+const { SCORE_CONFIG, getScoreConfig } = require("../core");
+
+// ---- /viewscores => current value of every key next to its default
+async function execute(interaction) {
+  const { guildId } = interaction;
+  const config = getScoreConfig(guildId);
+  const lines = Object.keys(SCORE_CONFIG)
+    .map((key) => {
+      const changed = config[key] !== SCORE_CONFIG[key] ? " ✏️" : "";
+      return `\`${key}\`: **${config[key]}** (default ${SCORE_CONFIG[key]})${changed}`;
+    })
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle("⚙️ Scoring Config")
+    .setColor("Blue")
+    .setDescription(lines);
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("viewscores")
+    .setDescription(
+      "📋 Show the scoring config next to the defaults (admin/mod only)",
+    ),
+  permission: PermissionsBitField.Flags.ManageGuild,
+  execute,
+};
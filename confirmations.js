@@ -0,0 +1,219 @@
+// confirmations.js
+const crypto = require("crypto");
+const {
+  PermissionsBitField,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const { botLog, hasCapability } = require("./core");
+
+// Buttons stop working with the interaction token anyway
+const CONFIRM_TTL_MINUTES = 15;
+// The second admin may not be around straight away
+const APPROVAL_TTL_HOURS = 24;
+
+// Destructive/bulk admin actions waiting for a button
+// e.g. pendingActions[id] = {
+//   guildId, adminId, embed, run, needsApproval, capability,
+//   stage: "confirm" | "approve", createdAt
+// }
+const pendingActions = {};
+
+function isConfirmationButton(customId) {
+  return customId.startsWith("confirm:");
+}
+
+function buildButtons(id, [yes, yesLabel], [no, noLabel]) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`confirm:${yes}:${id}`)
+      .setLabel(yesLabel)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`confirm:${no}:${id}`)
+      .setLabel(noLabel)
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+/**
+ * Show Confirm/Cancel before `run` changes anything (replies, or edits the
+ * deferred reply). Options:
+ *  - summary: what will happen, or `embed` for a custom preview
+ *  - run({ approvedBy }): makes the change, resolves to the message to show
+ *  - confirmLabel: text on the Confirm button
+ *  - needsApproval: once confirmed, another admin (Administrator or the
+ *    `capability` grant, default "points") must approve it in the channel
+ */
+async function requestConfirmation(
+  interaction,
+  {
+    summary,
+    embed = null,
+    run,
+    confirmLabel = "Confirm",
+    needsApproval = false,
+    capability = "points",
+  },
+) {
+  const id = crypto.randomBytes(4).toString("hex");
+  const preview =
+    embed ||
+    new EmbedBuilder()
+      .setTitle("⚠️ Please confirm")
+      .setColor("Orange")
+      .setDescription(summary);
+  pendingActions[id] = {
+    guildId: interaction.guildId,
+    adminId: interaction.user.id,
+    embed: preview,
+    run,
+    needsApproval,
+    capability,
+    stage: "confirm",
+    createdAt: Date.now(),
+  };
+
+  const reply = {
+    content: needsApproval
+      ? "After you confirm, another admin has to approve this."
+      : undefined,
+    embeds: [preview],
+    components: [buildButtons(id, ["yes", confirmLabel], ["no", "Cancel"])],
+  };
+  if (interaction.deferred || interaction.replied) {
+    return interaction.editReply(reply);
+  }
+  return interaction.reply({ ...reply, ephemeral: true });
+}
+
+async function applyPendingAction(interaction, pending, approvedBy) {
+  await interaction.update({
+    content: approvedBy
+      ? `⏳ Approved by <@${approvedBy}>, applying…`
+      : "⏳ Applying…",
+    components: [],
+  });
+  let content;
+  try {
+    content = await pending.run({ approvedBy });
+  } catch (err) {
+    botLog(
+      `[confirmations] Error applying an action for <@${pending.adminId}>: ${err}`,
+      pending.guildId,
+    );
+    content = "⚠️ Something went wrong. Check the bot log before retrying.";
+  }
+  if (approvedBy) {
+    content = `Approved by <@${approvedBy}>.\n${content}`;
+  }
+  return interaction.editReply({ content });
+}
+
+/**
+ * Confirm/Cancel from the admin who ran the command, then Approve/Reject
+ * from a second admin when the action needs it.
+ */
+async function handleConfirmationButton(interaction) {
+  const [, choice, id] = interaction.customId.split(":");
+  const pending = pendingActions[id];
+  const ttl =
+    pending?.stage === "approve"
+      ? APPROVAL_TTL_HOURS * 60 * 60 * 1000
+      : CONFIRM_TTL_MINUTES * 60 * 1000;
+  if (!pending || Date.now() - pending.createdAt > ttl) {
+    delete pendingActions[id];
+    return interaction.update({
+      content: "⌛ This request expired. Run the command again.",
+      embeds: [],
+      components: [],
+    });
+  }
+
+  if (choice === "yes" || choice === "no") {
+    if (interaction.user.id !== pending.adminId) {
+      return interaction.reply({
+        content: "🚫 Only the admin who ran the command can confirm it.",
+        ephemeral: true,
+      });
+    }
+    if (pending.stage !== "confirm") {
+      return interaction.reply({
+        content:
+          "⏳ Already confirmed. This is waiting for another admin to approve it.",
+        ephemeral: true,
+      });
+    }
+    if (choice === "no") {
+      delete pendingActions[id];
+      return interaction.update({
+        content: "Cancelled. Nothing was changed.",
+        embeds: [],
+        components: [],
+      });
+    }
+    if (pending.needsApproval) {
+      pending.stage = "approve";
+      pending.createdAt = Date.now();
+      await interaction.update({
+        content: "⏳ Waiting for another admin to approve.",
+        components: [],
+      });
+      return interaction.followUp({
+        content: `🛡️ <@${pending.adminId}> wants to make this change. Another admin has to approve it.`,
+        embeds: [pending.embed],
+        components: [
+          buildButtons(id, ["approve", "Approve"], ["reject", "Reject"]),
+        ],
+      });
+    }
+    // Claim it before doing anything so a double click can't apply it twice
+    delete pendingActions[id];
+    return applyPendingAction(interaction, pending, null);
+  }
+
+  // Approve/Reject: any other admin with the same rights (the requester
+  // can only withdraw it)
+  const { member, user } = interaction;
+  const isRequester = user.id === pending.adminId;
+  const canReview =
+    member.permissions.has(PermissionsBitField.Flags.Administrator) ||
+    hasCapability(member, pending.capability);
+  if (!canReview || (choice === "approve" && isRequester)) {
+    return interaction.reply({
+      content: isRequester
+        ? "🚫 Another admin has to approve this."
+        : "🚫 Only an admin can review this.",
+      ephemeral: true,
+    });
+  }
+  if (pending.stage !== "approve") {
+    return interaction.reply({
+      content: `⏳ <@${pending.adminId}> hasn't confirmed this yet.`,
+      ephemeral: true,
+    });
+  }
+
+  delete pendingActions[id];
+  if (choice === "reject") {
+    botLog(
+      `[confirmations] <@${user.id}> rejected an action requested by <@${pending.adminId}>.`,
+      pending.guildId,
+    );
+    return interaction.update({
+      content: isRequester
+        ? `<@${user.id}> withdrew this request. Nothing was changed.`
+        : `❌ Rejected by <@${user.id}>. Nothing was changed.`,
+      components: [],
+    });
+  }
+  return applyPendingAction(interaction, pending, user.id);
+}
+
+module.exports = {
+  isConfirmationButton,
+  requestConfirmation,
+  handleConfirmationButton,
+};
@@ -0,0 +1,2179 @@
+/********************************************************************
+ *                         IMPORTS & SETUP
+ ********************************************************************/
+const { Client, GatewayIntentBits, Partials } = require("discord.js");
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const { TwitterApi } = require("twitter-api-v2");
+require("dotenv").config();
+
+// Discord Client
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildMessageReactions,
+    // Privileged: needed to fetch all members (/addpoints role, /rolerewards resync)
+    GatewayIntentBits.GuildMembers,
+  ],
+  // Needed to get reaction events on messages that aren't cached
+  // (e.g. announcements posted before the bot started)
+  partials: [Partials.Message, Partials.Reaction, Partials.User],
+});
+
+// Supabase Client, created on first use so registerCommands.js can load the
+// command modules without database credentials
+let supabaseClient = null;
+const supabase = new Proxy(
+  {},
+  {
+    get(_, prop) {
+      supabaseClient ??= createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY,
+      );
+      const value = supabaseClient[prop];
+      return typeof value === "function" ? value.bind(supabaseClient) : value;
+    },
+  },
+);
+
+// Twitter Client
+const twitterClient = new TwitterApi(process.env.TWITTER_BEARER_TOKEN);
+const OFFICIAL_TWITTER_ACCOUNT = process.env.TWITTER_ACCOUNT;
+
+/********************************************************************
+ *         TRACKERS & IN-MEMORY CONFIG
+ ********************************************************************/
+// For message/reaction points, track daily usage per guild
+// (rebuilt from today's activity_logs at startup, see loadDailyMessageTracker):
+const dailyMessageTracker = {};
+// e.g. dailyMessageTracker[`${guildId}:${discordId}`] = {
+//   date: "YYYY-MM-DD", (in the guild's timezone)
+//   messagesSoFar: number,
+//   channelMessageCounts: { [channelId]: number } (channels with their own messagesPerPoint),
+//   channelPointRemainders: { [channelId]: number } (unpaid fraction from a x0.5 multiplier),
+//   pointsEarnedToday: number,
+//   reactionPointsToday: number,
+//   lastCountedAt: ms timestamp of the last message that counted,
+//   lastContent: normalized text of the previous message,
+//   filtered: { emojiOnly, tooShort, duplicate, cooldown } (counts today)
+// };
+
+// Reaction channels in memory
+// e.g. REACTION_CHANNELS[guildId] = ["channel id", ...]
+const REACTION_CHANNELS = {};
+
+// Per-channel message point rules
+// e.g. MESSAGE_CHANNEL_RULES[guildId][channelId] = {
+//   excluded: boolean,        (no message points at all)
+//   multiplier: number,       (messageReward x multiplier)
+//   messagesPerPoint: number, (null => the guild's messagesPerPoint)
+// };
+const MESSAGE_CHANNEL_RULES = {};
+
+// Roles granted at point thresholds, sorted by points
+// e.g. ROLE_REWARDS[guildId] = [{ roleId: "role id", points: 100 }, ...]
+const ROLE_REWARDS = {};
+
+// Bot capabilities that can be granted to roles/users with /permissions.
+// Commands declare the one they belong to (see commands/index.js).
+const CAPABILITIES = {
+  points: "Points management",
+  channels: "Channel config",
+  twitter: "Twitter admin",
+};
+
+// Capability grants per guild
+// e.g. PERMISSION_GRANTS[guildId] = [{ capability: "points", targetType: "role", targetId: "role id" }, ...]
+const PERMISSION_GRANTS = {};
+
+// How long a /verify code or /connectwallet nonce stays valid
+const VERIFY_CODE_TTL_MINUTES = 30;
+
+// Per-guild settings loaded from the `guild_settings` table
+// e.g. GUILD_SETTINGS[guildId] = {
+//   botLogChannel: "channel id",       (/setbotlogchannel)
+//   tweetUpdatesChannel: "channel id", (/tweeterupdates)
+//   timezone: "Europe/Berlin",         (/settings timezone, default UTC)
+//   undoWindowMinutes: "60",           (/settings undowindow)
+//   bulkApprovalMembers: "100",        (/settings bulkapproval, 0 = off)
+// };
+const GUILD_SETTINGS = {};
+
+/**
+ * Default scoring config (guilds can override any key with /editscores):
+ *  - 1 point per 5 messages (max 20 points/day)
+ *    Messages only count if they pass the quality filters (length, cooldown,
+ *    near-duplicates, emoji/sticker-only)
+ *  - Reactions: 2 points, once per message (max 20 points/day,
+ *    only on messages from the last 72 hours)
+ *  - Connect Wallet: 10 points
+ *  - Like: 4 points
+ *  - Retweet: 7 points
+ *  - Quote Retweet: 10 points
+ *  - Reply: 8 points (replies shorter than 15 chars don't count)
+ */
+const SCORE_CONFIG = {
+  messagesPerPoint: 5,
+  messageMaxPointsPerDay: 20,
+  messageReward: 1, // how many points each time threshold is reached
+  messageMinLength: 5, // shorter messages don't count (0 = off)
+  messageCooldownSeconds: 10, // min gap between counted messages (0 = off)
+  messageDuplicateSimilarity: 90, // % similar to the previous message => ignored (0 = off)
+  messageIgnoreEmojiOnly: 1, // 1 = emoji/sticker-only messages don't count
+  reactionPoints: 2,
+  reactionMaxPointsPerDay: 20,
+  reactionMaxMessageAgeHours: 72, // older messages don't pay (0 = no limit)
+  connectWalletPoints: 10,
+
+  likePoints: 4,
+  retweetPoints: 7,
+  quoteRetweetPoints: 10,
+  replyPoints: 8,
+  replyMinLength: 15, // min reply length (without @mentions/links) to earn replyPoints
+};
+
+/**
+ * Allowed range for each SCORE_CONFIG key. All values are whole numbers.
+ */
+const SCORE_CONFIG_LIMITS = {
+  messagesPerPoint: { min: 1, max: 1000 },
+  messageMaxPointsPerDay: { min: 0, max: 10000 },
+  messageReward: { min: 0, max: 1000 },
+  messageMinLength: { min: 0, max: 500 },
+  messageCooldownSeconds: { min: 0, max: 3600 },
+  messageDuplicateSimilarity: { min: 0, max: 100 },
+  messageIgnoreEmojiOnly: { min: 0, max: 1 },
+  reactionPoints: { min: 0, max: 1000 },
+  reactionMaxPointsPerDay: { min: 0, max: 10000 },
+  reactionMaxMessageAgeHours: { min: 0, max: 8760 },
+  connectWalletPoints: { min: 0, max: 1000 },
+
+  likePoints: { min: 0, max: 1000 },
+  retweetPoints: { min: 0, max: 1000 },
+  quoteRetweetPoints: { min: 0, max: 1000 },
+  replyPoints: { min: 0, max: 1000 },
+  replyMinLength: { min: 0, max: 280 },
+};
+
+// Per-guild overrides loaded from the `score_config` table
+// e.g. GUILD_SCORE_CONFIG[guildId] = { likePoints: 5 }
+const GUILD_SCORE_CONFIG = {};
+
+/********************************************************************
+ *                      LOGGING HELPERS
+ ********************************************************************/
+/**
+ * Log to console + optionally a Discord bot-log channel.
+ * With a guildId only that guild's log channel gets it, otherwise every guild's.
+ */
+async function botLog(msg, guildId = null) {
+  console.log("[LOG]", msg);
+  const channelIds = guildId
+    ? [getGuildSetting(guildId, "botLogChannel")]
+    : Object.values(GUILD_SETTINGS).map((settings) => settings.botLogChannel);
+
+  for (const channelId of channelIds) {
+    if (!channelId) continue;
+    try {
+      const channel = await client.channels.fetch(channelId);
+      if (channel) {
+        channel.send(msg);
+      }
+    } catch (err) {
+      console.error(
+        `[botLog] Error sending to log channel ${channelId}: ${err}`,
+      );
+    }
+  }
+}
+
+/********************************************************************
+ *                      EMBED HELPERS
+ ********************************************************************/
+// Discord rejects the whole embed when one field value (or the
+// description) is longer
+const EMBED_FIELD_LIMIT = 1024;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+/**
+ * Join lines into one embed field value, keeping as many as fit (and at
+ * most `maxLines`) and ending with "…and N more" for the rest. Overlong
+ * lines are cut short. `separator` goes between lines (e.g. "\n\n").
+ */
+function joinFieldLines(
+  lines,
+  { maxLines = lines.length, limit = EMBED_FIELD_LIMIT, separator = "\n" } = {},
+) {
+  const text = lines.join(separator);
+  if (lines.length <= maxLines && text.length <= limit) return text;
+
+  // Leave room for the "…and N more" line
+  const room = limit - 20 - separator.length;
+  const kept = [];
+  let length = 0;
+  for (const line of lines.slice(0, maxLines)) {
+    const clipped = line.length >= room ? `${line.slice(0, room - 2)}…` : line;
+    length += clipped.length + separator.length;
+    if (length > room) break;
+    kept.push(clipped);
+  }
+  if (kept.length < lines.length) {
+    kept.push(`…and ${lines.length - kept.length} more`);
+  }
+  return kept.join(separator);
+}
+
+/********************************************************************
+ *             ACTIVITY LOGS & ADMIN LOGS (DB Insert)
+ ********************************************************************/
+async function logActivity(guildId, discordId, action, points) {
+  const { error } = await supabase.from("activity_logs").insert([
+    {
+      guild_id: guildId,
+      discord_id: discordId,
+      action,
+      points,
+    },
+  ]);
+  if (error) {
+    botLog(
+      `[logActivity] Error logging activity for ${discordId}: ${error.message}`,
+      guildId,
+    );
+  } else {
+    botLog(
+      `[logActivity] Logged ${points} points for ${discordId} (${action}).`,
+      guildId,
+    );
+  }
+}
+
+function newAdminActionId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+/**
+ * Write one admin_logs row and return its action ID (null on error).
+ * Options:
+ *  - reason: why (shown in the log)
+ *  - actionId: to group rows, e.g. one per member of a role-wide /addpoints;
+ *    /undo reverses every row with the same ID
+ *  - approvedBy: the second admin who approved a bulk change
+ */
+async function logAdminAction(
+  guildId,
+  adminId,
+  userId,
+  action,
+  pointsChanged = null,
+  { reason = null, actionId = newAdminActionId(), approvedBy = null } = {},
+) {
+  const { error } = await supabase.from("admin_logs").insert([
+    {
+      guild_id: guildId,
+      admin_id: adminId,
+      user_id: userId,
+      action,
+      points_changed: pointsChanged,
+      reason,
+      action_id: actionId,
+      approved_by: approvedBy,
+    },
+  ]);
+  if (error) {
+    botLog(
+      `[logAdminAction] Error logging admin action: ${error.message}`,
+      guildId,
+    );
+    return null;
+  }
+  botLog(
+    `[logAdminAction] Admin ${adminId} -> ${action} for user ${userId}, points_changed=${pointsChanged}, action ${actionId}` +
+      (reason ? `, reason: ${reason}` : "") +
+      (approvedBy ? `, approved by ${approvedBy}` : ""),
+    guildId,
+  );
+  return actionId;
+}
+
+/********************************************************************
+ *      LOAD REACTION CHANNELS (FROM DB)
+ ********************************************************************/
+async function loadReactionChannels() {
+  const { data, error } = await supabase
+    .from("reaction_channels")
+    .select("guild_id, channel_id");
+  if (error) {
+    botLog(`[loadReactionChannels] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    REACTION_CHANNELS[row.guild_id] = [
+      ...(REACTION_CHANNELS[row.guild_id] || []),
+      row.channel_id,
+    ];
+  }
+  botLog(
+    `[loadReactionChannels] Loaded reaction channels for ${Object.keys(REACTION_CHANNELS).length} guild(s).`,
+  );
+}
+
+function isReactionChannel(guildId, channelId) {
+  return (REACTION_CHANNELS[guildId] || []).includes(channelId);
+}
+
+async function addReactionChannel(guildId, channelId) {
+  const { error } = await supabase
+    .from("reaction_channels")
+    .insert([{ guild_id: guildId, channel_id: channelId }]);
+  if (error) {
+    botLog(`[addReactionChannel] Error: ${error.message}`, guildId);
+    return false;
+  }
+  REACTION_CHANNELS[guildId] = [
+    ...(REACTION_CHANNELS[guildId] || []),
+    channelId,
+  ];
+  botLog(`[addReactionChannel] Channel ${channelId} added.`, guildId);
+  return true;
+}
+
+async function removeReactionChannel(guildId, channelId) {
+  const { error } = await supabase
+    .from("reaction_channels")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("channel_id", channelId);
+  if (error) {
+    botLog(`[removeReactionChannel] Error: ${error.message}`, guildId);
+    return false;
+  }
+  REACTION_CHANNELS[guildId] = (REACTION_CHANNELS[guildId] || []).filter(
+    (id) => id !== channelId,
+  );
+  botLog(`[removeReactionChannel] Channel ${channelId} removed.`, guildId);
+  return true;
+}
+
+/********************************************************************
+ *      LOAD MESSAGE CHANNEL RULES (FROM DB)
+ ********************************************************************/
+function getMessageChannelRule(guildId, channelId) {
+  return MESSAGE_CHANNEL_RULES[guildId]?.[channelId] || null;
+}
+
+function ruleFromRow(row) {
+  return {
+    excluded: !!row.excluded,
+    multiplier: row.multiplier ?? 1,
+    messagesPerPoint: row.messages_per_point ?? null,
+  };
+}
+
+async function loadMessageChannelRules() {
+  const { data, error } = await supabase
+    .from("message_channel_rules")
+    .select("guild_id, channel_id, excluded, multiplier, messages_per_point");
+  if (error) {
+    botLog(`[loadMessageChannelRules] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    MESSAGE_CHANNEL_RULES[row.guild_id] = {
+      ...(MESSAGE_CHANNEL_RULES[row.guild_id] || {}),
+      [row.channel_id]: ruleFromRow(row),
+    };
+  }
+  botLog(
+    `[loadMessageChannelRules] Loaded message channel rules for ${Object.keys(MESSAGE_CHANNEL_RULES).length} guild(s).`,
+  );
+}
+
+async function setMessageChannelRule(guildId, channelId, rule) {
+  const row = {
+    guild_id: guildId,
+    channel_id: channelId,
+    excluded: rule.excluded,
+    multiplier: rule.multiplier,
+    messages_per_point: rule.messagesPerPoint,
+  };
+  const { error } = await supabase
+    .from("message_channel_rules")
+    .upsert([row], { onConflict: "guild_id,channel_id" });
+  if (error) {
+    botLog(`[setMessageChannelRule] Error: ${error.message}`, guildId);
+    return false;
+  }
+  MESSAGE_CHANNEL_RULES[guildId] = {
+    ...(MESSAGE_CHANNEL_RULES[guildId] || {}),
+    [channelId]: ruleFromRow(row),
+  };
+  botLog(`[setMessageChannelRule] Channel ${channelId} rule saved.`, guildId);
+  return true;
+}
+
+async function removeMessageChannelRule(guildId, channelId) {
+  const { error } = await supabase
+    .from("message_channel_rules")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("channel_id", channelId);
+  if (error) {
+    botLog(`[removeMessageChannelRule] Error: ${error.message}`, guildId);
+    return false;
+  }
+  delete MESSAGE_CHANNEL_RULES[guildId]?.[channelId];
+  botLog(
+    `[removeMessageChannelRule] Channel ${channelId} rule removed.`,
+    guildId,
+  );
+  return true;
+}
+
+function describeMessageChannelRule(rule) {
+  if (rule.excluded) return "no message points";
+  const parts = [];
+  if (rule.multiplier !== 1) parts.push(`x${rule.multiplier} points`);
+  if (rule.messagesPerPoint) {
+    parts.push(`1 reward per ${rule.messagesPerPoint} messages`);
+  }
+  return parts.join(", ") || "default";
+}
+
+/********************************************************************
+ *      ROLE REWARDS (FROM DB)
+ ********************************************************************/
+function sortRoleRewards(guildId) {
+  ROLE_REWARDS[guildId] = (ROLE_REWARDS[guildId] || []).sort(
+    (a, b) => a.points - b.points,
+  );
+}
+
+async function loadRoleRewards() {
+  const { data, error } = await supabase
+    .from("role_rewards")
+    .select("guild_id, role_id, points_required");
+  if (error) {
+    botLog(`[loadRoleRewards] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    ROLE_REWARDS[row.guild_id] = [
+      ...(ROLE_REWARDS[row.guild_id] || []),
+      { roleId: row.role_id, points: row.points_required },
+    ];
+  }
+  Object.keys(ROLE_REWARDS).forEach(sortRoleRewards);
+  botLog(
+    `[loadRoleRewards] Loaded role rewards for ${Object.keys(ROLE_REWARDS).length} guild(s).`,
+  );
+}
+
+async function setRoleReward(guildId, roleId, points) {
+  const { error } = await supabase
+    .from("role_rewards")
+    .upsert([{ guild_id: guildId, role_id: roleId, points_required: points }], {
+      onConflict: "guild_id,role_id",
+    });
+  if (error) {
+    botLog(`[setRoleReward] Error: ${error.message}`, guildId);
+    return false;
+  }
+  ROLE_REWARDS[guildId] = [
+    ...(ROLE_REWARDS[guildId] || []).filter((tier) => tier.roleId !== roleId),
+    { roleId, points },
+  ];
+  sortRoleRewards(guildId);
+  botLog(`[setRoleReward] Role ${roleId} at ${points} points.`, guildId);
+  return true;
+}
+
+async function removeRoleReward(guildId, roleId) {
+  const { error } = await supabase
+    .from("role_rewards")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("role_id", roleId);
+  if (error) {
+    botLog(`[removeRoleReward] Error: ${error.message}`, guildId);
+    return false;
+  }
+  ROLE_REWARDS[guildId] = (ROLE_REWARDS[guildId] || []).filter(
+    (tier) => tier.roleId !== roleId,
+  );
+  botLog(`[removeRoleReward] Role ${roleId} removed.`, guildId);
+  return true;
+}
+
+/**
+ * Give the member every reward role they have enough points for,
+ * and take away the ones they don't. Other roles are left alone.
+ * Returns { added, removed } counts.
+ */
+async function applyRewardRoles(guildMember, points) {
+  let added = 0;
+  let removed = 0;
+  for (const tier of ROLE_REWARDS[guildMember.guild.id] || []) {
+    const hasRole = guildMember.roles.cache.has(tier.roleId);
+    if (points >= tier.points && !hasRole) {
+      await guildMember.roles.add(tier.roleId, "Points role reward");
+      added++;
+    } else if (points < tier.points && hasRole) {
+      await guildMember.roles.remove(tier.roleId, "Points role reward");
+      removed++;
+    }
+  }
+  return { added, removed };
+}
+
+/**
+ * Called after every balance change. Only touches Discord when the change
+ * crosses a reward threshold (in either direction).
+ */
+async function syncRewardRoles(guildId, discordId, oldPoints, newPoints) {
+  const crossed = (ROLE_REWARDS[guildId] || []).some(
+    (tier) => oldPoints >= tier.points !== newPoints >= tier.points,
+  );
+  if (!crossed) return;
+
+  try {
+    const guild = await client.guilds.fetch(guildId);
+    const guildMember = await guild.members.fetch(discordId);
+    const { added, removed } = await applyRewardRoles(guildMember, newPoints);
+    if (added || removed) {
+      botLog(
+        `[syncRewardRoles] <@${discordId}> at ${newPoints} points: +${added}/-${removed} reward role(s).`,
+        guildId,
+      );
+    }
+  } catch (err) {
+    botLog(
+      `[syncRewardRoles] Could not update roles for ${discordId}: ${err}`,
+      guildId,
+    );
+  }
+}
+
+/**
+ * Every member's balance in a guild (paged past the 1000-row limit).
+ * Returns a Map of discord_id => gold_points, or null on error.
+ */
+async function fetchGuildBalances(guildId) {
+  const pageSize = 1000;
+  const balances = new Map();
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("guild_members")
+      .select("discord_id, gold_points")
+      .eq("guild_id", guildId)
+      .order("discord_id", { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[fetchGuildBalances] Error: ${error.message}`, guildId);
+      return null;
+    }
+    for (const row of data) {
+      balances.set(row.discord_id, row.gold_points || 0);
+    }
+    if (data.length < pageSize) return balances;
+  }
+}
+
+/********************************************************************
+ *      COMMAND PERMISSION GRANTS (FROM DB)
+ ********************************************************************/
+async function loadPermissionGrants() {
+  const { data, error } = await supabase
+    .from("command_permissions")
+    .select("guild_id, capability, target_type, target_id");
+  if (error) {
+    botLog(`[loadPermissionGrants] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    PERMISSION_GRANTS[row.guild_id] = [
+      ...(PERMISSION_GRANTS[row.guild_id] || []),
+      {
+        capability: row.capability,
+        targetType: row.target_type,
+        targetId: row.target_id,
+      },
+    ];
+  }
+  botLog(
+    `[loadPermissionGrants] Loaded permission grants for ${Object.keys(PERMISSION_GRANTS).length} guild(s).`,
+  );
+}
+
+function isSameGrant(a, b) {
+  return (
+    a.capability === b.capability &&
+    a.targetType === b.targetType &&
+    a.targetId === b.targetId
+  );
+}
+
+async function addPermissionGrant(guildId, grant, adminId) {
+  const { error } = await supabase.from("command_permissions").upsert(
+    [
+      {
+        guild_id: guildId,
+        capability: grant.capability,
+        target_type: grant.targetType,
+        target_id: grant.targetId,
+        granted_by: adminId,
+      },
+    ],
+    { onConflict: "guild_id,capability,target_type,target_id" },
+  );
+  if (error) {
+    botLog(`[addPermissionGrant] Error: ${error.message}`, guildId);
+    return false;
+  }
+  PERMISSION_GRANTS[guildId] = [
+    ...(PERMISSION_GRANTS[guildId] || []).filter((g) => !isSameGrant(g, grant)),
+    grant,
+  ];
+  return true;
+}
+
+async function removePermissionGrant(guildId, grant) {
+  const { error } = await supabase
+    .from("command_permissions")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("capability", grant.capability)
+    .eq("target_type", grant.targetType)
+    .eq("target_id", grant.targetId);
+  if (error) {
+    botLog(`[removePermissionGrant] Error: ${error.message}`, guildId);
+    return false;
+  }
+  PERMISSION_GRANTS[guildId] = (PERMISSION_GRANTS[guildId] || []).filter(
+    (g) => !isSameGrant(g, grant),
+  );
+  return true;
+}
+
+/**
+ * True if the member was granted `capability` directly or via one of
+ * their roles. (Server admins don't need grants; see the dispatcher.)
+ */
+function hasCapability(guildMember, capability) {
+  if (!capability || !guildMember) return false;
+  return (PERMISSION_GRANTS[guildMember.guild.id] || []).some(
+    (grant) =>
+      grant.capability === capability &&
+      (grant.targetType === "user"
+        ? grant.targetId === guildMember.id
+        : guildMember.roles.cache.has(grant.targetId)),
+  );
+}
+
+/********************************************************************
+ *      LOAD GUILD SETTINGS (FROM DB)
+ ********************************************************************/
+function getGuildSetting(guildId, key) {
+  return GUILD_SETTINGS[guildId]?.[key] ?? null;
+}
+
+async function loadGuildSettings() {
+  const { data, error } = await supabase
+    .from("guild_settings")
+    .select("guild_id, key, value");
+  if (error) {
+    // console only: botLog needs these settings to know where to post
+    console.error(`[loadGuildSettings] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    GUILD_SETTINGS[row.guild_id] = {
+      ...(GUILD_SETTINGS[row.guild_id] || {}),
+      [row.key]: row.value,
+    };
+  }
+  botLog(
+    `[loadGuildSettings] Loaded settings for ${Object.keys(GUILD_SETTINGS).length} guild(s).`,
+  );
+}
+
+async function setGuildSetting(guildId, key, value) {
+  const { error } = await supabase
+    .from("guild_settings")
+    .upsert([{ guild_id: guildId, key, value }], {
+      onConflict: "guild_id,key",
+    });
+  if (error) {
+    botLog(`[setGuildSetting] Error: ${error.message}`, guildId);
+    return false;
+  }
+  GUILD_SETTINGS[guildId] = {
+    ...(GUILD_SETTINGS[guildId] || {}),
+    [key]: value,
+  };
+  botLog(`[setGuildSetting] ${key} = ${value}`, guildId);
+  return true;
+}
+
+/********************************************************************
+ *      GUILD DAY BOUNDARY & DAILY TRACKER (FROM DB)
+ ********************************************************************/
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * "YYYY-MM-DD" for `date` in the guild's timezone (UTC if not set).
+ */
+function getGuildDate(guildId, date = new Date()) {
+  const timezone = getGuildSetting(guildId, "timezone") || "UTC";
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+function newDailyTracker(date) {
+  return {
+    date,
+    messagesSoFar: 0,
+    channelMessageCounts: {},
+    channelPointRemainders: {},
+    pointsEarnedToday: 0,
+    reactionPointsToday: 0,
+    lastCountedAt: 0,
+    lastContent: "",
+    filtered: { emojiOnly: 0, tooShort: 0, duplicate: 0, cooldown: 0 },
+  };
+}
+
+/**
+ * Today's tracker for a member, starting a fresh one when their day rolls over.
+ */
+function getDailyTracker(guildId, discordId) {
+  const trackerKey = `${guildId}:${discordId}`;
+  const today = getGuildDate(guildId);
+  if (dailyMessageTracker[trackerKey]?.date !== today) {
+    dailyMessageTracker[trackerKey] = newDailyTracker(today);
+  }
+  return dailyMessageTracker[trackerKey];
+}
+
+// activity_logs actions that count toward each daily tracker total
+const DAILY_TRACKER_ACTIONS = {
+  message_points: "pointsEarnedToday",
+  reaction_points: "reactionPointsToday",
+  reaction_points_removed: "reactionPointsToday",
+};
+
+/**
+ * Rebuild today's message/reaction points from activity_logs, so a restart
+ * mid-day doesn't hand out messageMaxPointsPerDay/reactionMaxPointsPerDay again.
+ * Progress toward the next point (messagesSoFar) isn't logged and restarts at 0.
+ */
+async function loadDailyMessageTracker() {
+  // Any guild's "today" started less than 48h ago
+  const since = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+  const pageSize = 1000;
+  let restored = 0;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("activity_logs")
+      .select("guild_id, discord_id, action, points, created_at")
+      .in("action", Object.keys(DAILY_TRACKER_ACTIONS))
+      .gte("created_at", since)
+      .order("created_at", { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[loadDailyMessageTracker] Error: ${error.message}`);
+      return;
+    }
+
+    for (const row of data) {
+      const today = getGuildDate(row.guild_id);
+      if (getGuildDate(row.guild_id, new Date(row.created_at)) !== today) {
+        continue;
+      }
+      const trackerKey = `${row.guild_id}:${row.discord_id}`;
+      if (!dailyMessageTracker[trackerKey]) {
+        dailyMessageTracker[trackerKey] = newDailyTracker(today);
+        restored++;
+      }
+      dailyMessageTracker[trackerKey][DAILY_TRACKER_ACTIONS[row.action]] +=
+        row.points;
+    }
+    if (data.length < pageSize) break;
+  }
+
+  botLog(
+    `[loadDailyMessageTracker] Restored today's message/reaction points for ${restored} member(s).`,
+  );
+}
+
+/********************************************************************
+ *      LOAD SCORE CONFIG OVERRIDES (FROM DB)
+ ********************************************************************/
+/**
+ * Effective scoring config for a guild: defaults + that guild's overrides.
+ */
+function getScoreConfig(guildId) {
+  return { ...SCORE_CONFIG, ...(GUILD_SCORE_CONFIG[guildId] || {}) };
+}
+
+/**
+ * Returns an error message if `value` isn't allowed for `key`, else null.
+ */
+function validateScoreConfigValue(key, value) {
+  const limits = SCORE_CONFIG_LIMITS[key];
+  if (!Number.isInteger(value)) {
+    return `\`${key}\` must be a whole number.`;
+  }
+  if (value < limits.min || value > limits.max) {
+    return `\`${key}\` must be between ${limits.min} and ${limits.max}.`;
+  }
+  return null;
+}
+
+async function loadScoreConfig() {
+  const { data, error } = await supabase
+    .from("score_config")
+    .select("guild_id, key, value");
+  if (error) {
+    botLog(`[loadScoreConfig] Error: ${error.message}`);
+    return;
+  }
+  if (!data) return;
+  for (const row of data) {
+    // Skip keys that were removed or are now out of range
+    if (!SCORE_CONFIG.hasOwnProperty(row.key)) continue;
+    if (validateScoreConfigValue(row.key, row.value)) continue;
+    GUILD_SCORE_CONFIG[row.guild_id] = {
+      ...(GUILD_SCORE_CONFIG[row.guild_id] || {}),
+      [row.key]: row.value,
+    };
+  }
+  botLog(
+    `[loadScoreConfig] Loaded score overrides for ${Object.keys(GUILD_SCORE_CONFIG).length} guild(s).`,
+  );
+}
+
+async function setScoreConfigValue(guildId, key, value) {
+  const { error } = await supabase
+    .from("score_config")
+    .upsert([{ guild_id: guildId, key, value }], {
+      onConflict: "guild_id,key",
+    });
+  if (error) {
+    botLog(`[setScoreConfigValue] Error: ${error.message}`, guildId);
+    return false;
+  }
+  GUILD_SCORE_CONFIG[guildId] = {
+    ...(GUILD_SCORE_CONFIG[guildId] || {}),
+    [key]: value,
+  };
+  botLog(`[setScoreConfigValue] ${key} = ${value}`, guildId);
+  return true;
+}
+
+/********************************************************************
+ *          TWITTER VERIFICATION CHALLENGES (FROM DB)
+ ********************************************************************/
+/**
+ * Pending links live in `twitter_verifications` (discord_id, twitter_handle,
+ * code, created_at) until /verify confirm proves the user owns the handle.
+ */
+async function createVerificationChallenge(discordId, twitterHandle) {
+  const code = `GOLD-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+  const { error } = await supabase.from("twitter_verifications").upsert(
+    [
+      {
+        discord_id: discordId,
+        twitter_handle: twitterHandle,
+        code,
+        created_at: new Date().toISOString(),
+      },
+    ],
+    { onConflict: "discord_id" },
+  );
+  if (error) {
+    botLog(`[createVerificationChallenge] Error: ${error.message}`);
+    return null;
+  }
+  return code;
+}
+
+async function getVerificationChallenge(discordId) {
+  const { data, error } = await supabase
+    .from("twitter_verifications")
+    .select("twitter_handle, code, created_at")
+    .eq("discord_id", discordId)
+    .maybeSingle();
+  if (error) {
+    botLog(`[getVerificationChallenge] Error: ${error.message}`);
+    return null;
+  }
+  return data;
+}
+
+async function deleteVerificationChallenge(discordId) {
+  const { error } = await supabase
+    .from("twitter_verifications")
+    .delete()
+    .eq("discord_id", discordId);
+  if (error) {
+    botLog(`[deleteVerificationChallenge] Error: ${error.message}`);
+  }
+}
+
+/**
+ * Look the handle up on Twitter and check that the code is in its bio
+ * or in one of its recent tweets.
+ * Returns { twitterUser, found } (twitterUser is null if the handle doesn't exist).
+ */
+async function checkVerificationCode(twitterHandle, code) {
+  const account = await twitterClient.v2.userByUsername(twitterHandle, {
+    "user.fields": ["description"],
+  });
+  const twitterUser = account?.data;
+  if (!twitterUser?.id) {
+    return { twitterUser: null, found: false };
+  }
+  if ((twitterUser.description || "").includes(code)) {
+    return { twitterUser, found: true };
+  }
+
+  const timeline = await twitterClient.v2.userTimeline(twitterUser.id, {
+    max_results: 10,
+    exclude: ["retweets"],
+  });
+  const recentTweets = timeline?.data?.data || [];
+  const found = recentTweets.some((tw) => (tw.text || "").includes(code));
+  return { twitterUser, found };
+}
+
+/********************************************************************
+ *          SOLANA WALLET VERIFICATION (FROM DB)
+ ********************************************************************/
+/**
+ * Wallets are linked by signing a nonce message with the wallet's key:
+ * /connectwallet or /changewallet stores the challenge in
+ * `wallet_verifications`, /confirmwallet checks the ed25519 signature.
+ */
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function decodeBase58(str) {
+  let num = 0n;
+  for (const char of str) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+    num = num * 58n + BigInt(digit);
+  }
+  const bytes = [];
+  while (num > 0n) {
+    bytes.unshift(Number(num & 0xffn));
+    num >>= 8n;
+  }
+  // Each leading "1" is a leading zero byte
+  for (const char of str) {
+    if (char !== "1") break;
+    bytes.unshift(0);
+  }
+  return Buffer.from(bytes);
+}
+
+// A Solana public key is 32 bytes, base58-encoded (32-44 chars)
+function isValidSolanaAddress(address) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return false;
+  return decodeBase58(address).length === 32;
+}
+
+function buildWalletMessage(discordId, wallet, nonce) {
+  return `Link this wallet to Discord user ${discordId}\nWallet: ${wallet}\nNonce: ${nonce}`;
+}
+
+/**
+ * True if `signature` (base58) is `wallet`'s ed25519 signature of `message`.
+ */
+function verifyWalletSignature(wallet, message, signature) {
+  const signatureBytes = decodeBase58(signature.trim());
+  if (!signatureBytes || signatureBytes.length !== 64) return false;
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: "OKP",
+        crv: "Ed25519",
+        x: decodeBase58(wallet).toString("base64url"),
+      },
+      format: "jwk",
+    });
+    return crypto.verify(
+      null,
+      Buffer.from(message, "utf8"),
+      publicKey,
+      signatureBytes,
+    );
+  } catch {
+    return false;
+  }
+}
+
+async function createWalletChallenge(discordId, wallet) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const { error } = await supabase.from("wallet_verifications").upsert(
+    [
+      {
+        discord_id: discordId,
+        wallet,
+        nonce,
+        created_at: new Date().toISOString(),
+      },
+    ],
+    { onConflict: "discord_id" },
+  );
+  if (error) {
+    botLog(`[createWalletChallenge] Error: ${error.message}`);
+    return null;
+  }
+  return nonce;
+}
+
+async function getWalletChallenge(discordId) {
+  const { data, error } = await supabase
+    .from("wallet_verifications")
+    .select("wallet, nonce, created_at")
+    .eq("discord_id", discordId)
+    .maybeSingle();
+  if (error) {
+    botLog(`[getWalletChallenge] Error: ${error.message}`);
+    return null;
+  }
+  return data;
+}
+
+async function deleteWalletChallenge(discordId) {
+  const { error } = await supabase
+    .from("wallet_verifications")
+    .delete()
+    .eq("discord_id", discordId);
+  if (error) {
+    botLog(`[deleteWalletChallenge] Error: ${error.message}`);
+  }
+}
+
+/**
+ * Discord ID of another user who already linked `wallet`, else null.
+ */
+async function findWalletOwner(wallet, excludeDiscordId) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("discord_id")
+    .eq("sol_wallet", wallet)
+    .neq("discord_id", excludeDiscordId)
+    .maybeSingle();
+  if (error) {
+    botLog(`[findWalletOwner] Error: ${error.message}`);
+  }
+  return data?.discord_id || null;
+}
+
+/**
+ * Claim the one-time wallet bonus for this guild. False if it was already paid.
+ */
+async function recordWalletBonus(guildId, discordId) {
+  const { error } = await supabase
+    .from("wallet_bonuses")
+    .insert([{ guild_id: guildId, discord_id: discordId }]);
+  if (error && error.code !== "23505") {
+    botLog(`[recordWalletBonus] Error: ${error.message}`, guildId);
+  }
+  return !error;
+}
+
+async function removeWalletBonus(guildId, discordId) {
+  const { error } = await supabase
+    .from("wallet_bonuses")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("discord_id", discordId);
+  if (error) {
+    botLog(`[removeWalletBonus] Error: ${error.message}`, guildId);
+  }
+}
+
+/********************************************************************
+ *                UPDATE GOLD_POINTS & LOG ACTIVITY
+ ********************************************************************/
+/**
+ * Balances are per guild, in `guild_members` (guild_id, discord_id, gold_points).
+ * `users` holds what's shared across guilds: Twitter link, wallet, notify_enabled.
+ */
+async function ensureGuildMember(guildId, discordId) {
+  const { error } = await supabase
+    .from("guild_members")
+    .upsert([{ guild_id: guildId, discord_id: discordId }], {
+      onConflict: "guild_id,discord_id",
+      ignoreDuplicates: true,
+    });
+  if (error) {
+    botLog(`[ensureGuildMember] Error: ${error.message}`, guildId);
+  }
+}
+
+/**
+ * Change a member's balance with the `change_gold_points` DB function
+ * (sql/change_gold_points.sql), so concurrent updates can't overwrite each other.
+ * The same DB transaction writes the change to `points_ledger`.
+ * Reward roles are updated if the change crosses a threshold.
+ * Pass { delta } to add/remove points or { setTo } to overwrite the balance.
+ * With allowNegative: false the change is refused if it would go below 0.
+ * Returns the authoritative { oldPoints, newPoints }, { insufficient: true }
+ * when refused, or null on error.
+ */
+async function applyPointsChange(
+  guildId,
+  discordId,
+  { delta = 0, setTo = null, action, adminId = null, allowNegative = true },
+) {
+  const { data, error } = await supabase
+    .rpc("change_gold_points", {
+      p_guild_id: guildId,
+      p_discord_id: discordId,
+      p_delta: delta,
+      p_set_to: setTo,
+      p_action: action,
+      p_admin_id: adminId,
+      p_allow_negative: allowNegative,
+    })
+    .single();
+  if (error?.message?.includes("insufficient_points")) {
+    return { insufficient: true, oldPoints: null, newPoints: null };
+  }
+  if (error || !data) {
+    botLog(
+      `[applyPointsChange] Error updating user ${discordId}: ${error?.message}`,
+      guildId,
+    );
+    return null;
+  }
+  await syncRewardRoles(guildId, discordId, data.old_points, data.new_points);
+  return { oldPoints: data.old_points, newPoints: data.new_points };
+}
+
+/**
+ * Award points in the guild's `gold_points` column if user is "verified"
+ * (confirmed their Twitter through /verify confirm).
+ * Logs the action in the activity_logs table if pointsToAdd != 0.
+ * `newPoints` in the result is the balance straight from the DB.
+ * Options:
+ *  - adminId: for manual changes, so the ledger records who made them
+ *  - allowNegative: false to refuse debits the balance can't cover
+ *    (the result then has `insufficient: true`)
+ */
+async function awardPoints(
+  guildId,
+  discordId,
+  pointsToAdd,
+  action,
+  { adminId = null, allowNegative = true } = {},
+) {
+  // 1. Fetch user row
+  const { data: userData, error } = await supabase
+    .from("users")
+    .select("twitter_id, twitter_verified, notify_enabled")
+    .eq("discord_id", discordId)
+    .single();
+
+  if (error || !userData) {
+    return { newPoints: null, notifyEnabled: true, verified: false };
+  }
+  if (!userData.twitter_id || !userData.twitter_verified) {
+    // means user not "verified"
+    return { newPoints: null, notifyEnabled: true, verified: false };
+  }
+
+  // 2. Update gold_points in one atomic DB call
+  const change = await applyPointsChange(guildId, discordId, {
+    delta: pointsToAdd,
+    action,
+    adminId,
+    allowNegative,
+  });
+  if (!change || change.insufficient) {
+    return {
+      newPoints: null,
+      notifyEnabled: true,
+      verified: true,
+      insufficient: !!change?.insufficient,
+    };
+  }
+
+  // 3. Log in activity_logs
+  if (pointsToAdd !== 0) {
+    await logActivity(guildId, discordId, action, pointsToAdd);
+  }
+
+  return {
+    newPoints: change.newPoints,
+    notifyEnabled: userData.notify_enabled,
+    verified: true,
+  };
+}
+
+/********************************************************************
+ *                  SEASONS (FROM DB)
+ ********************************************************************/
+/**
+ * A season is a named window over `activity_logs` (see sql/seasons.sql).
+ * gold_points stays the lifetime total; season scores are computed from the
+ * logs while the season is open and frozen into `season_snapshots` at the end.
+ */
+async function getOpenSeason(guildId) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("*")
+    .eq("guild_id", guildId)
+    .is("ended_at", null)
+    .maybeSingle();
+  if (error) {
+    botLog(`[getOpenSeason] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function getSeason(guildId, seasonId) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("*")
+    .eq("guild_id", guildId)
+    .eq("id", seasonId)
+    .maybeSingle();
+  if (error) {
+    botLog(`[getSeason] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function findSeason(guildId, name) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("*")
+    .eq("guild_id", guildId)
+    .eq("name", name)
+    .maybeSingle();
+  if (error) {
+    botLog(`[findSeason] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function listSeasons(guildId) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("*")
+    .eq("guild_id", guildId)
+    .order("started_at", { ascending: false })
+    .limit(25);
+  if (error) {
+    botLog(`[listSeasons] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data || [];
+}
+
+/**
+ * Close the guild's open season and store its final standings.
+ * Returns { season, standings } or null if nothing was closed.
+ */
+async function endSeason(guildId, adminId) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .update({ ended_at: new Date().toISOString(), ended_by: adminId })
+    .eq("guild_id", guildId)
+    .is("ended_at", null)
+    .select();
+  if (error) {
+    botLog(`[endSeason] Error: ${error.message}`, guildId);
+    return null;
+  }
+  const season = data[0];
+  if (!season) return null;
+
+  const standings = await fetchActivityStandings(guildId, {
+    since: season.started_at,
+    until: season.ended_at,
+  });
+  if (!standings) {
+    botLog(
+      `[endSeason] Season "${season.name}" closed but its snapshot could not be computed!`,
+      guildId,
+    );
+    return { season, standings: [] };
+  }
+
+  const rows = standings.map((row) => ({
+    season_id: season.id,
+    guild_id: guildId,
+    rank: row.rank,
+    discord_id: row.discord_id,
+    points: row.points,
+  }));
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error: snapErr } = await supabase
+      .from("season_snapshots")
+      .insert(rows.slice(i, i + 500));
+    if (snapErr) {
+      botLog(
+        `[endSeason] Error saving snapshot for "${season.name}": ${snapErr.message}`,
+        guildId,
+      );
+      break;
+    }
+  }
+  return { season, standings };
+}
+
+/********************************************************************
+ *                  LEADERBOARDS (FROM ACTIVITY LOGS)
+ ********************************************************************/
+const LEADERBOARD_PERIODS = {
+  day: "Today",
+  week: "This week",
+  month: "This month",
+  all: "All-time",
+};
+
+// activity_logs actions that count towards each category
+const LEADERBOARD_CATEGORIES = {
+  messages: { label: "Messages", actions: ["message_points"] },
+  reactions: {
+    label: "Reactions",
+    actions: [
+      "reaction_points",
+      "reaction_points_removed",
+      "reaction_points_removed_late",
+    ],
+  },
+  twitter: {
+    label: "Twitter",
+    actions: [
+      "twitter_like",
+      "twitter_like_removed",
+      "twitter_retweet",
+      "twitter_retweet_removed",
+      "twitter_quote",
+      "twitter_reply",
+    ],
+  },
+  manual: {
+    label: "Manual",
+    actions: [
+      "manual_addpoints",
+      "manual_addpoints_role",
+      "manual_removepoints",
+      "manual_setpoints",
+      "manual_import",
+    ],
+  },
+};
+
+/**
+ * Midnight at the start of `date` ("YYYY-MM-DD") in the guild's timezone,
+ * as an ISO timestamp.
+ */
+function getGuildMidnight(guildId, date) {
+  const timeZone = getGuildSetting(guildId, "timezone") || "UTC";
+  const [year, month, day] = date.split("-").map(Number);
+  const start = new Date(Date.UTC(year, month - 1, day));
+
+  // `start` is local midnight written as UTC; shift it by the zone's offset
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(start)
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  const offset =
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+    ) - start.getTime();
+  return new Date(start.getTime() - offset).toISOString();
+}
+
+/**
+ * Start of the guild's current day/week (Monday)/month as an ISO timestamp,
+ * in the guild's timezone. null for "all".
+ */
+function getPeriodStart(guildId, period, now = new Date()) {
+  if (period === "all") return null;
+
+  const [year, month, day] = getGuildDate(guildId, now).split("-").map(Number);
+  const start = new Date(Date.UTC(year, month - 1, day));
+  if (period === "week") {
+    start.setUTCDate(day - ((start.getUTCDay() + 6) % 7));
+  } else if (period === "month") {
+    start.setUTCDate(1);
+  }
+  return getGuildMidnight(guildId, start.toISOString().slice(0, 10));
+}
+
+/**
+ * Every member's { discord_id, points, rank } logged in [since, until),
+ * highest first, optionally only for some actions (paged past the
+ * 1000-row cap).
+ */
+async function fetchActivityStandings(
+  guildId,
+  { since = null, until = null, actions = null } = {},
+) {
+  const pageSize = 1000;
+  const standings = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .rpc("activity_standings", {
+        p_guild_id: guildId,
+        p_since: since,
+        p_until: until,
+        p_actions: actions,
+      })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[fetchActivityStandings] Error: ${error.message}`, guildId);
+      return null;
+    }
+    standings.push(...data);
+    if (data.length < pageSize) break;
+  }
+  return standings;
+}
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+/**
+ * What a leaderboard ranks: lifetime gold_points, a period or a season,
+ * optionally limited to one category.
+ */
+function getLeaderboardScope(guildId, { season = null, period, category }) {
+  return {
+    season,
+    period,
+    category,
+    actions: category ? LEADERBOARD_CATEGORIES[category].actions : null,
+    since: season ? season.started_at : getPeriodStart(guildId, period),
+    until: season ? season.ended_at : null,
+    // Closed seasons read their saved standings unless a category is asked for
+    snapshot: !!season?.ended_at && !category,
+    lifetime: !season && period === "all" && !category,
+  };
+}
+
+function describeLeaderboardScope(scope) {
+  return [
+    scope.season ? scope.season.name : LEADERBOARD_PERIODS[scope.period],
+    scope.category && LEADERBOARD_CATEGORIES[scope.category].label,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * One page of { discord_id, points, rank, tied } rows plus the total number
+ * of ranked members, or null on error.
+ */
+async function fetchLeaderboardPage(guildId, scope, page) {
+  const from = page * LEADERBOARD_PAGE_SIZE;
+  const to = from + LEADERBOARD_PAGE_SIZE - 1;
+
+  let query;
+  if (scope.snapshot) {
+    query = supabase
+      .from("season_snapshots")
+      .select("discord_id, points, rank", { count: "exact" })
+      .eq("season_id", scope.season.id)
+      .order("rank", { ascending: true })
+      .order("discord_id", { ascending: true });
+  } else if (scope.lifetime) {
+    query = supabase.rpc(
+      "lifetime_standings",
+      { p_guild_id: guildId },
+      { count: "exact" },
+    );
+  } else {
+    query = supabase.rpc(
+      "activity_standings",
+      {
+        p_guild_id: guildId,
+        p_since: scope.since,
+        p_until: scope.until,
+        p_actions: scope.actions,
+      },
+      { count: "exact" },
+    );
+  }
+
+  // One extra row on each side so ties across page breaks are spotted too
+  const first = Math.max(0, from - 1);
+  const { data, count, error } = await query.range(first, to + 1);
+  if (error) {
+    botLog(`[fetchLeaderboardPage] Error: ${error.message}`, guildId);
+    return null;
+  }
+  const rows = data
+    .map((u, i) => ({
+      ...u,
+      tied: data[i - 1]?.rank === u.rank || data[i + 1]?.rank === u.rank,
+    }))
+    .slice(from - first, from - first + LEADERBOARD_PAGE_SIZE);
+  return { rows, total: count || 0 };
+}
+
+/**
+ * A member's { points, rank, next_points, next_rank } in the scope, where
+ * next_* is the closest better score (null when already first).
+ * For lifetime scopes points is null if the member has no record.
+ */
+async function fetchLeaderboardRank(guildId, scope, discordId) {
+  let query;
+  if (scope.snapshot) {
+    query = supabase.rpc("season_snapshot_rank", {
+      p_season_id: scope.season.id,
+      p_discord_id: discordId,
+    });
+  } else if (scope.lifetime) {
+    query = supabase.rpc("lifetime_rank", {
+      p_guild_id: guildId,
+      p_discord_id: discordId,
+    });
+  } else {
+    query = supabase.rpc("activity_rank", {
+      p_guild_id: guildId,
+      p_discord_id: discordId,
+      p_since: scope.since,
+      p_until: scope.until,
+      p_actions: scope.actions,
+    });
+  }
+
+  const { data, error } = await query.single();
+  if (error) {
+    botLog(`[fetchLeaderboardRank] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+function describeRankGap(mine) {
+  if (mine.next_points === null) {
+    return "Nobody is ahead of you!";
+  }
+  return `**${mine.next_points - mine.points}** points behind #${mine.next_rank}`;
+}
+
+/********************************************************************
+ *                  PROFILES
+ ********************************************************************/
+const PROFILE_RECENT_EVENTS = 5;
+
+async function fetchActionBreakdown(guildId, discordId) {
+  const { data, error } = await supabase.rpc("activity_breakdown", {
+    p_guild_id: guildId,
+    p_discord_id: discordId,
+  });
+  if (error) {
+    botLog(`[fetchActionBreakdown] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function fetchRecentActivity(guildId, discordId, limit) {
+  const { data, error } = await supabase
+    .from("activity_logs")
+    .select("action, points, created_at")
+    .eq("guild_id", guildId)
+    .eq("discord_id", discordId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) {
+    botLog(`[fetchRecentActivity] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Today's message/reaction points straight from the daily tracker
+ * (no DB round trip; the tracker is rebuilt from activity_logs on startup).
+ */
+function getTodayPoints(guildId, discordId) {
+  const tracker = dailyMessageTracker[`${guildId}:${discordId}`];
+  if (tracker?.date !== getGuildDate(guildId)) {
+    return { messages: 0, reactions: 0 };
+  }
+  return {
+    messages: tracker.pointsEarnedToday,
+    reactions: tracker.reactionPointsToday,
+  };
+}
+
+/********************************************************************
+ *                  POINTS SHOP (FROM DB)
+ ********************************************************************/
+/**
+ * Catalog in `shop_items`, redemption queue in `shop_redemptions`
+ * (see sql/shop.sql). Items are never deleted, only deactivated,
+ * so old redemptions keep pointing at them.
+ */
+const SHOP_REWARD_TYPES = {
+  role: "Discord role",
+  whitelist: "Whitelist spot",
+  custom: "Custom item",
+};
+
+function describeShopItem(item) {
+  const stock = item.stock === null ? "unlimited" : `${item.stock} left`;
+  const role = item.role_id ? ` <@&${item.role_id}>` : "";
+  return `**#${item.id} ${item.name}** - ${item.price} pts (${stock})\n${SHOP_REWARD_TYPES[item.reward_type]}${role}${item.description ? ` - ${item.description}` : ""}`;
+}
+
+async function listShopItems(guildId) {
+  const { data, error } = await supabase
+    .from("shop_items")
+    .select("*")
+    .eq("guild_id", guildId)
+    .eq("active", true)
+    .order("price", { ascending: true });
+  if (error) {
+    botLog(`[listShopItems] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data || [];
+}
+
+async function getShopItem(guildId, itemId) {
+  const { data, error } = await supabase
+    .from("shop_items")
+    .select("*")
+    .eq("guild_id", guildId)
+    .eq("id", itemId)
+    .maybeSingle();
+  if (error) {
+    botLog(`[getShopItem] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function createShopItem(guildId, item) {
+  const { data, error } = await supabase
+    .from("shop_items")
+    .insert([{ guild_id: guildId, ...item }])
+    .select()
+    .single();
+  if (error) {
+    botLog(`[createShopItem] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function updateShopItem(guildId, itemId, fields) {
+  const { data, error } = await supabase
+    .from("shop_items")
+    .update(fields)
+    .eq("guild_id", guildId)
+    .eq("id", itemId)
+    .select();
+  if (error) {
+    botLog(`[updateShopItem] Error: ${error.message}`, guildId);
+    return false;
+  }
+  return data.length > 0;
+}
+
+/**
+ * Take (delta < 0) or put back (delta > 0) stock atomically.
+ * False if the item is sold out/inactive.
+ */
+async function adjustShopStock(guildId, itemId, delta) {
+  const { data, error } = await supabase.rpc("adjust_shop_stock", {
+    p_item_id: itemId,
+    p_delta: delta,
+  });
+  if (error) {
+    botLog(`[adjustShopStock] Error: ${error.message}`, guildId);
+    return false;
+  }
+  return data === true;
+}
+
+async function createRedemption(guildId, discordId, item) {
+  const { data, error } = await supabase
+    .from("shop_redemptions")
+    .insert([
+      {
+        guild_id: guildId,
+        discord_id: discordId,
+        item_id: item.id,
+        price: item.price,
+      },
+    ])
+    .select()
+    .single();
+  if (error) {
+    botLog(`[createRedemption] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data;
+}
+
+async function listPendingRedemptions(guildId) {
+  const { data, error } = await supabase
+    .from("shop_redemptions")
+    .select("id, discord_id, price, created_at, shop_items(name)")
+    .eq("guild_id", guildId)
+    .eq("status", "pending")
+    .order("id", { ascending: true })
+    .limit(25);
+  if (error) {
+    botLog(`[listPendingRedemptions] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data || [];
+}
+
+/**
+ * Move a pending redemption to approved/rejected. Only one admin can win:
+ * returns the redemption (with its item) if it was still pending, else null.
+ */
+async function reviewRedemption(guildId, redemptionId, status, adminId, note) {
+  const { data, error } = await supabase
+    .from("shop_redemptions")
+    .update({
+      status,
+      reviewed_by: adminId,
+      review_note: note,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq("guild_id", guildId)
+    .eq("id", redemptionId)
+    .eq("status", "pending")
+    .select("id, discord_id, item_id, price, shop_items(*)");
+  if (error) {
+    botLog(`[reviewRedemption] Error: ${error.message}`, guildId);
+    return null;
+  }
+  return data[0] || null;
+}
+
+/********************************************************************
+ *                  POINTS LEDGER (AUDIT)
+ ********************************************************************/
+/**
+ * All of a member's ledger entries, oldest first (paged past the 1000-row limit).
+ * Returns null on error.
+ */
+async function fetchLedgerEntries(guildId, discordId) {
+  const pageSize = 1000;
+  const entries = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("points_ledger")
+      .select("id, delta, balance_after, action, admin_id, created_at")
+      .eq("guild_id", guildId)
+      .eq("account", `user:${discordId}`)
+      .order("id", { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[fetchLedgerEntries] Error: ${error.message}`, guildId);
+      return null;
+    }
+    entries.push(...data);
+    if (data.length < pageSize) return entries;
+  }
+}
+
+/**
+ * Replay ledger entries into a balance + per-action breakdown.
+ * `firstBadEntry` is the first entry whose stored balance_after
+ * doesn't match the running total (null if they all match).
+ */
+function replayLedger(entries) {
+  let balance = 0;
+  let firstBadEntry = null;
+  const byAction = {};
+  for (const entry of entries) {
+    balance += entry.delta;
+    if (
+      !firstBadEntry &&
+      entry.balance_after !== null &&
+      entry.balance_after !== balance
+    ) {
+      firstBadEntry = entry;
+    }
+    byAction[entry.action] = byAction[entry.action] || { points: 0, count: 0 };
+    byAction[entry.action].points += entry.delta;
+    byAction[entry.action].count += 1;
+  }
+  return { balance, byAction, firstBadEntry };
+}
+
+/********************************************************************
+ *                      ADMIN ACTION UNDO
+ ********************************************************************/
+const DEFAULT_UNDO_WINDOW_MINUTES = 60;
+
+// admin_logs actions /undo can reverse, and the activity_logs action each one
+// logged (null = none, so the undo doesn't log one either)
+const UNDOABLE_ADMIN_ACTIONS = {
+  addpoints_user: "manual_addpoints",
+  addpoints_role: "manual_addpoints_role",
+  removepoints: "manual_removepoints",
+  setpoints: "manual_setpoints",
+  importpoints: "manual_import",
+  resetpoints: null,
+};
+
+function getUndoWindowMinutes(guildId) {
+  const minutes = Number(getGuildSetting(guildId, "undoWindowMinutes"));
+  return minutes > 0 ? minutes : DEFAULT_UNDO_WINDOW_MINUTES;
+}
+
+// Appended to replies so the admin knows what to pass to /undo
+function describeUndo(guildId, actionId) {
+  if (!actionId) return "";
+  return `\nAction ID \`${actionId}\` - /undo it within ${getUndoWindowMinutes(guildId)} min.`;
+}
+
+// Bulk changes reaching this many members need a second admin (0 = never)
+function getBulkApprovalThreshold(guildId) {
+  return Number(getGuildSetting(guildId, "bulkApprovalMembers")) || 0;
+}
+
+/**
+ * Reverse every points change logged under `actionId`.
+ * Returns { error } if nothing was undone, otherwise
+ * { action, reversed, failed: [discordId], undoId }. Members whose change
+ * couldn't be reversed (e.g. they already spent the points) stay undoable.
+ */
+async function undoAdminAction(guildId, actionId, adminId) {
+  const { data: rows, error } = await supabase
+    .from("admin_logs")
+    .select("action, created_at")
+    .eq("guild_id", guildId)
+    .eq("action_id", actionId);
+  if (error) {
+    botLog(`[undoAdminAction] Error: ${error.message}`, guildId);
+    return { error: "Could not look up that action." };
+  }
+  if (!rows.length) return { error: "No action with that ID." };
+
+  const action = rows[0].action;
+  if (!(action in UNDOABLE_ADMIN_ACTIONS)) {
+    return { error: `\`${action}\` can't be undone.` };
+  }
+  const windowMinutes = getUndoWindowMinutes(guildId);
+  const loggedAt = Math.min(...rows.map((row) => Date.parse(row.created_at)));
+  if (Date.now() - loggedAt > windowMinutes * 60 * 1000) {
+    return {
+      error: `Actions can only be undone within ${windowMinutes} minute(s).`,
+    };
+  }
+
+  // Claim the rows first so two /undo calls can't both reverse them
+  const { data: claimed, error: claimErr } = await supabase
+    .from("admin_logs")
+    .update({ undone_at: new Date().toISOString(), undone_by: adminId })
+    .eq("guild_id", guildId)
+    .eq("action_id", actionId)
+    .is("undone_at", null)
+    .select("user_id, points_changed");
+  if (claimErr) {
+    botLog(`[undoAdminAction] Error: ${claimErr.message}`, guildId);
+    return { error: "Could not undo that action." };
+  }
+  if (!claimed.length) return { error: "That action was already undone." };
+
+  const undoId = newAdminActionId();
+  const activityAction = UNDOABLE_ADMIN_ACTIONS[action];
+  let reversed = 0;
+  const failed = [];
+  for (const row of claimed) {
+    if (!row.points_changed) continue;
+    const delta = -row.points_changed;
+    const change = await applyPointsChange(guildId, row.user_id, {
+      delta,
+      action: "undo",
+      adminId,
+      allowNegative: false,
+    });
+    if (!change || change.insufficient) {
+      failed.push(row.user_id);
+      continue;
+    }
+    if (activityAction) {
+      await logActivity(guildId, row.user_id, activityAction, delta);
+    }
+    await logAdminAction(guildId, adminId, row.user_id, "undo", delta, {
+      reason: `undo ${actionId}`,
+      actionId: undoId,
+    });
+    reversed++;
+  }
+
+  if (failed.length) {
+    // Hand them back so the undo can be retried
+    const { error: releaseErr } = await supabase
+      .from("admin_logs")
+      .update({ undone_at: null, undone_by: null })
+      .eq("guild_id", guildId)
+      .eq("action_id", actionId)
+      .in("user_id", failed);
+    if (releaseErr) {
+      botLog(`[undoAdminAction] Error: ${releaseErr.message}`, guildId);
+    }
+  }
+  return { action, reversed, failed, undoId };
+}
+
+/********************************************************************
+ *                         DATA EXPORT
+ ********************************************************************/
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * What /export can dump: the columns (in file order) and the query for one
+ * guild. Filters: since/until (ISO, [since, until)), discordId, seasonId.
+ * Each query has a total order so paging with .range() is stable even when
+ * rows share a timestamp.
+ */
+const EXPORT_DATASETS = {
+  users: {
+    label: "Members",
+    columns: [
+      "discord_id",
+      "gold_points",
+      "twitter_handle",
+      "twitter_verified",
+      "sol_wallet",
+    ],
+    query: (guildId, { discordId }) => {
+      let query = supabase.rpc("export_members", { p_guild_id: guildId });
+      if (discordId) query = query.eq("discord_id", discordId);
+      return query;
+    },
+  },
+  activity: {
+    label: "Activity log",
+    columns: ["created_at", "discord_id", "action", "points"],
+    query: (guildId, { since, until, discordId }) => {
+      let query = supabase
+        .from("activity_logs")
+        .select("created_at, discord_id, action, points")
+        .eq("guild_id", guildId);
+      if (since) query = query.gte("created_at", since);
+      if (until) query = query.lt("created_at", until);
+      if (discordId) query = query.eq("discord_id", discordId);
+      return query
+        .order("created_at", { ascending: true })
+        .order("discord_id", { ascending: true })
+        .order("action", { ascending: true })
+        .order("points", { ascending: true });
+    },
+  },
+  adminlogs: {
+    label: "Admin log",
+    columns: [
+      "created_at",
+      "action_id",
+      "admin_id",
+      "user_id",
+      "action",
+      "points_changed",
+      "reason",
+      "approved_by",
+      "undone_at",
+      "undone_by",
+    ],
+    query: (guildId, { since, until, discordId }) => {
+      let query = supabase
+        .from("admin_logs")
+        .select(
+          "created_at, action_id, admin_id, user_id, action, points_changed, reason, approved_by, undone_at, undone_by",
+        )
+        .eq("guild_id", guildId);
+      if (since) query = query.gte("created_at", since);
+      if (until) query = query.lt("created_at", until);
+      // Changes made to or by the member
+      if (discordId) {
+        query = query.or(`user_id.eq.${discordId},admin_id.eq.${discordId}`);
+      }
+      return query
+        .order("created_at", { ascending: true })
+        .order("action_id", { ascending: true })
+        .order("user_id", { ascending: true });
+    },
+  },
+  snapshot: {
+    label: "Wallet snapshot",
+    columns: ["rank", "discord_id", "sol_wallet", "points"],
+    query: (guildId, { seasonId = null }) =>
+      supabase.rpc("wallet_snapshot", {
+        p_guild_id: guildId,
+        p_season_id: seasonId,
+      }),
+  },
+};
+
+/**
+ * Yield a dataset one page at a time so big exports never sit in memory
+ * whole. Throws on a DB error.
+ */
+async function* fetchExportPages(guildId, dataset, filters = {}) {
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const { data, error } = await EXPORT_DATASETS[dataset]
+      .query(guildId, filters)
+      .range(from, from + EXPORT_PAGE_SIZE - 1);
+    if (error) {
+      botLog(`[fetchExportPages] ${dataset}: ${error.message}`, guildId);
+      throw new Error(error.message);
+    }
+    if (data.length) yield data;
+    if (data.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+module.exports = {
+  client,
+  supabase,
+  twitterClient,
+  OFFICIAL_TWITTER_ACCOUNT,
+  dailyMessageTracker,
+  REACTION_CHANNELS,
+  MESSAGE_CHANNEL_RULES,
+  ROLE_REWARDS,
+  CAPABILITIES,
+  PERMISSION_GRANTS,
+  VERIFY_CODE_TTL_MINUTES,
+  GUILD_SETTINGS,
+  SCORE_CONFIG,
+  GUILD_SCORE_CONFIG,
+  botLog,
+  newAdminActionId,
+  logAdminAction,
+  loadReactionChannels,
+  isReactionChannel,
+  addReactionChannel,
+  removeReactionChannel,
+  getMessageChannelRule,
+  loadMessageChannelRules,
+  setMessageChannelRule,
+  removeMessageChannelRule,
+  describeMessageChannelRule,
+  loadRoleRewards,
+  setRoleReward,
+  removeRoleReward,
+  loadPermissionGrants,
+  addPermissionGrant,
+  removePermissionGrant,
+  hasCapability,
+  applyRewardRoles,
+  fetchGuildBalances,
+  getGuildSetting,
+  loadGuildSettings,
+  setGuildSetting,
+  isValidTimezone,
+  getGuildDate,
+  getDailyTracker,
+  loadDailyMessageTracker,
+  getScoreConfig,
+  validateScoreConfigValue,
+  loadScoreConfig,
+  setScoreConfigValue,
+  createVerificationChallenge,
+  getVerificationChallenge,
+  deleteVerificationChallenge,
+  checkVerificationCode,
+  isValidSolanaAddress,
+  buildWalletMessage,
+  verifyWalletSignature,
+  createWalletChallenge,
+  getWalletChallenge,
+  deleteWalletChallenge,
+  findWalletOwner,
+  recordWalletBonus,
+  removeWalletBonus,
+  ensureGuildMember,
+  logActivity,
+  applyPointsChange,
+  awardPoints,
+  getOpenSeason,
+  getSeason,
+  findSeason,
+  listSeasons,
+  endSeason,
+  getGuildMidnight,
+  LEADERBOARD_PAGE_SIZE,
+  getLeaderboardScope,
+  describeLeaderboardScope,
+  fetchLeaderboardPage,
+  fetchLeaderboardRank,
+  describeRankGap,
+  EMBED_DESCRIPTION_LIMIT,
+  joinFieldLines,
+  PROFILE_RECENT_EVENTS,
+  fetchActionBreakdown,
+  fetchRecentActivity,
+  getTodayPoints,
+  describeShopItem,
+  listShopItems,
+  getShopItem,
+  createShopItem,
+  updateShopItem,
+  adjustShopStock,
+  createRedemption,
+  listPendingRedemptions,
+  reviewRedemption,
+  fetchLedgerEntries,
+  replayLedger,
+  getUndoWindowMinutes,
+  describeUndo,
+  getBulkApprovalThreshold,
+  undoAdminAction,
+  EXPORT_DATASETS,
+  fetchExportPages,
+};
@@ -0,0 +1,12 @@
+-- Action IDs for /undo. Every admin_logs row carries the ID of the action it
+-- belongs to; a role-wide /addpoints or /importpoints writes one row per member
+-- with the same action_id. /undo stamps undone_at/undone_by so an action can't
+-- be reversed twice. approved_by is the second admin on large bulk changes.
+alter table admin_logs add column if not exists action_id text;
+alter table admin_logs add column if not exists approved_by text;
+alter table admin_logs add column if not exists undone_at timestamptz;
+alter table admin_logs add column if not exists undone_by text;
+alter table admin_logs add column if not exists created_at timestamptz not null default now();
+
+create index if not exists admin_logs_action_idx
+  on admin_logs (guild_id, action_id);
@@ -0,0 +1,2 @@
+-- Why an admin changed someone's points (/removepoints, /setpoints, /importpoints).
+alter table admin_logs add column if not exists reason text;
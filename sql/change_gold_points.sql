@@ -0,0 +1,60 @@
+-- Atomically change a member's gold_points and return the balance before and after.
+-- Called by applyPointsChange() in core.js through supabase.rpc("change_gold_points").
+--  - p_delta:    points to add (negative to remove)
+--  - p_set_to:   if not null, overwrite the balance instead (e.g. /resetpoints)
+--  - p_action:   what caused the change, stored on the ledger entries
+--  - p_admin_id: the admin behind a manual change, if any
+--  - p_allow_negative: if false, raise 'insufficient_points' instead of going below 0
+--    (shop redemptions)
+-- The row lock serializes concurrent changes to the same member, so no increment is lost.
+-- The balance update and its points_ledger entries (sql/points_ledger.sql) commit together.
+drop function if exists change_gold_points(text, text, bigint, bigint);
+drop function if exists change_gold_points(text, text, bigint, bigint, text, text);
+
+create or replace function change_gold_points(
+  p_guild_id text,
+  p_discord_id text,
+  p_delta bigint default 0,
+  p_set_to bigint default null,
+  p_action text default 'unknown',
+  p_admin_id text default null,
+  p_allow_negative boolean default true
+)
+returns table (old_points bigint, new_points bigint)
+language plpgsql
+as $$
+declare
+  v_old bigint;
+  v_new bigint;
+  v_transaction_id uuid := gen_random_uuid();
+begin
+  insert into guild_members (guild_id, discord_id, gold_points)
+  values (p_guild_id, p_discord_id, 0)
+  on conflict (guild_id, discord_id) do nothing;
+
+  select coalesce(gold_points, 0) into v_old
+  from guild_members
+  where guild_id = p_guild_id and discord_id = p_discord_id
+  for update;
+
+  v_new := coalesce(p_set_to, v_old + p_delta);
+
+  if not p_allow_negative and v_new < 0 then
+    raise exception 'insufficient_points';
+  end if;
+
+  update guild_members
+  set gold_points = v_new
+  where guild_id = p_guild_id and discord_id = p_discord_id;
+
+  if v_new <> v_old then
+    insert into points_ledger
+      (transaction_id, guild_id, account, delta, balance_after, action, admin_id)
+    values
+      (v_transaction_id, p_guild_id, 'user:' || p_discord_id, v_new - v_old, v_new, p_action, p_admin_id),
+      (v_transaction_id, p_guild_id, 'system:rewards', v_old - v_new, null, p_action, p_admin_id);
+  end if;
+
+  return query select v_old, v_new;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Bot capabilities granted to roles or users, per guild (/permissions).
+-- Server admins can always do everything; a grant lets others run the
+-- commands of one capability without Discord permissions.
+create table if not exists command_permissions (
+  guild_id text not null,
+  capability text not null check (capability in ('points', 'channels', 'twitter')),
+  target_type text not null check (target_type in ('role', 'user')),
+  target_id text not null,
+  granted_by text,
+  created_at timestamptz not null default now(),
+  primary key (guild_id, capability, target_type, target_id)
+);
@@ -0,0 +1,53 @@
+-- /export: the member list and the wallet snapshot. Both are read in pages
+-- with .range(), so they need a stable order.
+
+-- Every member of the guild with their points and linked accounts.
+create or replace function export_members(p_guild_id text)
+returns table (
+  discord_id text,
+  gold_points bigint,
+  twitter_handle text,
+  twitter_verified boolean,
+  sol_wallet text
+)
+language sql
+stable
+as $$
+  select m.discord_id, coalesce(m.gold_points, 0)::bigint, u.twitter_handle,
+         coalesce(u.twitter_verified, false), u.sol_wallet
+  from guild_members m
+  left join users u on u.discord_id = m.discord_id
+  where m.guild_id = p_guild_id
+  order by m.discord_id;
+$$;
+
+-- Distribution list: members with a linked wallet and their final points,
+-- from a closed season's snapshot or (p_season_id null) lifetime gold_points.
+-- rank is the leaderboard rank, so it counts members without a wallet too.
+create or replace function wallet_snapshot(
+  p_guild_id text,
+  p_season_id bigint default null
+)
+returns table (rank bigint, discord_id text, sol_wallet text, points bigint)
+language sql
+stable
+as $$
+  select s.rank, s.discord_id, u.sol_wallet, s.points
+  from (
+    select ss.rank::bigint as rank, ss.discord_id, ss.points
+    from season_snapshots ss
+    where p_season_id is not null
+      and ss.season_id = p_season_id
+      and ss.guild_id = p_guild_id
+    union all
+    select ls.rank, ls.discord_id, ls.points
+    from lifetime_standings(p_guild_id) ls
+    where p_season_id is null
+  ) s
+  join users u on u.discord_id = s.discord_id
+  where u.sol_wallet is not null and s.points > 0
+  order by s.rank, s.discord_id;
+$$;
+
+create index if not exists admin_logs_guild_created_idx
+  on admin_logs (guild_id, created_at);
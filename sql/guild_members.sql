@@ -0,0 +1,58 @@
+-- Per-guild balances: gold_points moves from `users` to one guild_members row
+-- per (guild, member). change_gold_points (sql/change_gold_points.sql) and the
+-- points_ledger opening balances (sql/points_ledger.sql) need this table, so
+-- run this file first.
+create table if not exists guild_members (
+  guild_id text not null,
+  discord_id text not null,
+  gold_points bigint not null default 0,
+  created_at timestamptz not null default now(),
+  primary key (guild_id, discord_id)
+);
+
+-- Logs and reaction channels are scoped to the guild they happened in.
+alter table activity_logs add column if not exists guild_id text;
+alter table admin_logs add column if not exists guild_id text;
+alter table reaction_channels add column if not exists guild_id text;
+
+create unique index if not exists reaction_channels_guild_channel_key
+  on reaction_channels (guild_id, channel_id);
+
+-- One-off for bots that ran before points were per guild: everything so far
+-- happened in a single server, so its balances, logs and reaction channels
+-- all move to that guild. Set v_guild_id to the server's ID. It refuses to
+-- run with the placeholder while there is anything to move, instead of
+-- leaving every balance at 0.
+do $$
+declare
+  v_guild_id text := 'YOUR_GUILD_ID';
+begin
+  if not exists (
+    select 1 from users u
+    where coalesce(u.gold_points, 0) <> 0
+      and not exists (select 1 from guild_members m where m.discord_id = u.discord_id)
+    union all
+    select 1 from activity_logs where guild_id is null
+    union all
+    select 1 from admin_logs where guild_id is null
+    union all
+    select 1 from reaction_channels where guild_id is null
+  ) then
+    return;
+  end if;
+  if v_guild_id !~ '^\d{17,20}$' then
+    raise exception 'Set v_guild_id to your Discord server ID to move existing balances';
+  end if;
+
+  insert into guild_members (guild_id, discord_id, gold_points)
+  select v_guild_id, u.discord_id, u.gold_points
+  from users u
+  where coalesce(u.gold_points, 0) <> 0
+    and not exists (select 1 from guild_members m where m.discord_id = u.discord_id)
+  on conflict (guild_id, discord_id) do nothing;
+
+  update activity_logs set guild_id = v_guild_id where guild_id is null;
+  update admin_logs set guild_id = v_guild_id where guild_id is null;
+  update reaction_channels set guild_id = v_guild_id where guild_id is null;
+end;
+$$;
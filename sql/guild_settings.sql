@@ -0,0 +1,8 @@
+-- Per-guild bot settings as key/value text (see GUILD_SETTINGS in core.js):
+-- botLogChannel, tweetUpdatesChannel, timezone, ...
+create table if not exists guild_settings (
+  guild_id text not null,
+  key text not null,
+  value text,
+  primary key (guild_id, key)
+);
@@ -0,0 +1,156 @@
+-- Leaderboards over activity_logs: any time window (seasons, day/week/month)
+-- and optionally only some actions (a category such as messages or twitter).
+-- Ranks are competition ranks: tied members share a rank and the next rank is
+-- skipped (1, 2, 2, 4).
+create index if not exists activity_logs_guild_created_idx
+  on activity_logs (guild_id, created_at);
+
+drop function if exists activity_standings(text, timestamptz, timestamptz);
+drop function if exists activity_standings(text, timestamptz, timestamptz, text[]);
+drop function if exists activity_rank(text, text, timestamptz, timestamptz, text[]);
+
+-- Points per member logged in [p_since, p_until), highest first.
+-- p_since null = from the beginning, p_actions null = every earning action.
+-- Shop purchases and refunds only move points the member already earned, so
+-- spending never lowers an activity rank or a season score.
+create or replace function activity_standings(
+  p_guild_id text,
+  p_since timestamptz default null,
+  p_until timestamptz default null,
+  p_actions text[] default null
+)
+returns table (discord_id text, points bigint, rank bigint)
+language sql
+stable
+as $$
+  select t.discord_id, t.points, rank() over (order by t.points desc)
+  from (
+    select a.discord_id, sum(a.points)::bigint as points
+    from activity_logs a
+    where a.guild_id = p_guild_id
+      and (p_since is null or a.created_at >= p_since)
+      and (p_until is null or a.created_at < p_until)
+      and (
+        case when p_actions is null
+          then a.action not in ('shop_redeem', 'shop_refund')
+          else a.action = any (p_actions)
+        end
+      )
+    group by a.discord_id
+    having sum(a.points) <> 0
+  ) t
+  order by t.points desc, t.discord_id;
+$$;
+
+-- One member's points and rank in the same window/category as
+-- activity_standings, plus the closest better score and its rank
+-- (null when already first).
+create or replace function activity_rank(
+  p_guild_id text,
+  p_discord_id text,
+  p_since timestamptz default null,
+  p_until timestamptz default null,
+  p_actions text[] default null
+)
+returns table (points bigint, rank bigint, next_points bigint, next_rank bigint)
+language sql
+stable
+as $$
+  with standings as (
+    select * from activity_standings(p_guild_id, p_since, p_until, p_actions)
+  ),
+  mine as (
+    select coalesce(
+      (select s.points from standings s where s.discord_id = p_discord_id),
+      0
+    ) as points
+  ),
+  next as (
+    select min(s.points) as points
+    from standings s, mine
+    where s.points > mine.points
+  )
+  select mine.points,
+         1 + (select count(*) from standings s where s.points > mine.points),
+         next.points,
+         case when next.points is not null then
+           1 + (select count(*) from standings s where s.points > next.points)
+         end
+  from mine, next;
+$$;
+
+-- All-time ranking straight from guild_members.gold_points.
+create or replace function lifetime_standings(p_guild_id text)
+returns table (discord_id text, points bigint, rank bigint)
+language sql
+stable
+as $$
+  select m.discord_id, m.gold_points::bigint,
+         rank() over (order by m.gold_points desc)
+  from guild_members m
+  where m.guild_id = p_guild_id
+    and coalesce(m.gold_points, 0) <> 0
+  order by m.gold_points desc, m.discord_id;
+$$;
+
+-- Same shape as activity_rank. points is null if the member has no row yet.
+create or replace function lifetime_rank(p_guild_id text, p_discord_id text)
+returns table (points bigint, rank bigint, next_points bigint, next_rank bigint)
+language sql
+stable
+as $$
+  with standings as (
+    select * from lifetime_standings(p_guild_id)
+  ),
+  mine as (
+    select (
+      select m.gold_points::bigint from guild_members m
+      where m.guild_id = p_guild_id and m.discord_id = p_discord_id
+    ) as points
+  ),
+  next as (
+    select min(s.points) as points
+    from standings s, mine
+    where s.points > coalesce(mine.points, 0)
+  )
+  select mine.points,
+         1 + (select count(*) from standings s
+              where s.points > coalesce(mine.points, 0)),
+         next.points,
+         case when next.points is not null then
+           1 + (select count(*) from standings s where s.points > next.points)
+         end
+  from mine, next;
+$$;
+
+-- Same shape as activity_rank, from a closed season's saved standings.
+create or replace function season_snapshot_rank(
+  p_season_id bigint,
+  p_discord_id text
+)
+returns table (points bigint, rank bigint, next_points bigint, next_rank bigint)
+language sql
+stable
+as $$
+  with standings as (
+    select s.points, s.rank from season_snapshots s
+    where s.season_id = p_season_id
+  ),
+  mine as (
+    select coalesce(
+      (select s.points from season_snapshots s
+       where s.season_id = p_season_id and s.discord_id = p_discord_id),
+      0
+    ) as points
+  ),
+  next as (
+    select min(s.points) as points
+    from standings s, mine
+    where s.points > mine.points
+  )
+  select mine.points,
+         1 + (select count(*) from standings s where s.points > mine.points),
+         next.points,
+         (select min(s.rank) from standings s where s.points = next.points)
+  from mine, next;
+$$;
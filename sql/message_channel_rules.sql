@@ -0,0 +1,11 @@
+-- Per-channel message points (/messagerules): a channel can earn nothing
+-- (excluded), a multiple of the usual points, or one reward every N
+-- messages. Channels without a row use the server's scores (/editscores).
+create table if not exists message_channel_rules (
+  guild_id text not null,
+  channel_id text not null,
+  excluded boolean not null default false,
+  multiplier numeric not null default 1,
+  messages_per_point integer,
+  primary key (guild_id, channel_id)
+);
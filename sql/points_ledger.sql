@@ -0,0 +1,40 @@
+-- Double-entry points ledger. Every change to gold_points is written as one
+-- transaction with two entries that sum to zero:
+--   account 'user:<discord_id>'  +delta  (balance_after = member's new balance)
+--   account 'system:rewards'     -delta
+-- A member's balance is the sum of their 'user:' entries; /audit compares it
+-- against guild_members.gold_points.
+create table if not exists points_ledger (
+  id bigserial primary key,
+  transaction_id uuid not null,
+  guild_id text not null,
+  account text not null,
+  delta bigint not null,
+  balance_after bigint,
+  action text not null,
+  admin_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists points_ledger_account_idx
+  on points_ledger (guild_id, account, id);
+
+-- One-off: open the ledger with everyone's balance from before it existed.
+insert into points_ledger
+  (transaction_id, guild_id, account, delta, balance_after, action)
+select t.transaction_id, t.guild_id, e.account, e.delta, e.balance_after, 'opening_balance'
+from (
+  select gen_random_uuid() as transaction_id, guild_id, discord_id, gold_points
+  from guild_members
+  where coalesce(gold_points, 0) <> 0
+    and not exists (
+      select 1 from points_ledger pl
+      where pl.guild_id = guild_members.guild_id
+        and pl.account = 'user:' || guild_members.discord_id
+    )
+) t
+cross join lateral (
+  values
+    ('user:' || t.discord_id, t.gold_points, t.gold_points),
+    ('system:rewards', -t.gold_points, null::bigint)
+) as e(account, delta, balance_after);
@@ -0,0 +1,20 @@
+-- /profile: privacy switch and per-action totals.
+alter table users
+  add column if not exists profile_public boolean not null default true;
+
+create index if not exists activity_logs_member_idx
+  on activity_logs (guild_id, discord_id, created_at);
+
+-- A member's points and number of events per action, biggest first.
+create or replace function activity_breakdown(p_guild_id text, p_discord_id text)
+returns table (action text, points bigint, events bigint)
+language sql
+stable
+as $$
+  select a.action, sum(a.points)::bigint, count(*)
+  from activity_logs a
+  where a.guild_id = p_guild_id
+    and a.discord_id = p_discord_id
+  group by a.action
+  order by sum(a.points) desc, a.action;
+$$;
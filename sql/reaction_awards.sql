@@ -0,0 +1,11 @@
+-- Reactions already paid: one row per (guild, message, member). The row is
+-- inserted before the points are awarded, so the primary key is what stops
+-- a second payout; removing the last reaction deletes it with the clawback.
+create table if not exists reaction_awards (
+  guild_id text not null,
+  message_id text not null,
+  discord_id text not null,
+  points integer not null,
+  created_at timestamptz not null default now(),
+  primary key (guild_id, message_id, discord_id)
+);
@@ -0,0 +1,8 @@
+-- Roles handed out at point thresholds (/rolerewards). A role has one
+-- threshold per guild; members lose it again when they drop below.
+create table if not exists role_rewards (
+  guild_id text not null,
+  role_id text not null,
+  points_required integer not null,
+  primary key (guild_id, role_id)
+);
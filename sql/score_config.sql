@@ -0,0 +1,10 @@
+-- Per-guild overrides of SCORE_CONFIG (/editscores). Keys not listed here use
+-- the defaults in core.js. Values are whole numbers; loadScoreConfig skips
+-- unknown keys and values outside SCORE_CONFIG_LIMITS.
+create table if not exists score_config (
+  guild_id text not null,
+  key text not null,
+  value integer not null,
+  updated_at timestamptz not null default now(),
+  primary key (guild_id, key)
+);
@@ -0,0 +1,27 @@
+-- Seasons: named windows over activity_logs. Lifetime totals stay in
+-- guild_members.gold_points; a season's score is the sum of the points logged
+-- while it was running (activity_standings in sql/leaderboards.sql). At most
+-- one open season (ended_at is null) per guild.
+create table if not exists seasons (
+  id bigserial primary key,
+  guild_id text not null,
+  name text not null,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  started_by text,
+  ended_by text,
+  unique (guild_id, name)
+);
+
+create unique index if not exists seasons_one_open_idx
+  on seasons (guild_id) where ended_at is null;
+
+-- Final standings, written once when the season is closed.
+create table if not exists season_snapshots (
+  season_id bigint not null references seasons (id),
+  guild_id text not null,
+  rank integer not null,
+  discord_id text not null,
+  points bigint not null,
+  primary key (season_id, discord_id)
+);
@@ -0,0 +1,46 @@
+-- Points shop: admin-managed catalog and the redemption queue.
+create table if not exists shop_items (
+  id bigserial primary key,
+  guild_id text not null,
+  name text not null,
+  description text,
+  reward_type text not null check (reward_type in ('role', 'whitelist', 'custom')),
+  role_id text, -- for reward_type = 'role'
+  price bigint not null check (price > 0),
+  stock integer check (stock >= 0), -- null = unlimited
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists shop_redemptions (
+  id bigserial primary key,
+  guild_id text not null,
+  discord_id text not null,
+  item_id bigint not null references shop_items (id),
+  price bigint not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'rejected')),
+  reviewed_by text,
+  review_note text,
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz
+);
+
+create index if not exists shop_redemptions_status_idx
+  on shop_redemptions (guild_id, status, id);
+
+-- Take (p_delta < 0) or put back (p_delta > 0) stock in one statement.
+-- Returns false if the item is inactive or doesn't have enough stock left.
+-- Unlimited items (stock is null) always succeed.
+create or replace function adjust_shop_stock(p_item_id bigint, p_delta integer)
+returns boolean
+language plpgsql
+as $$
+begin
+  update shop_items
+  set stock = stock + p_delta
+  where id = p_item_id
+    and (p_delta > 0 or (active and (stock is null or stock + p_delta >= 0)));
+  return found;
+end;
+$$;
@@ -0,0 +1,17 @@
+-- Likes/retweets/quotes/replies already paid for a tracked tweet, so the
+-- poller pays each one once per guild and can claw back a removed like or
+-- retweet. The row is written before the points are awarded; the unique key
+-- is what stops a second poll from paying again.
+create table if not exists tweet_engagements (
+  guild_id text not null,
+  tweet_id text not null,
+  twitter_user_id text not null,
+  engagement_type text not null, -- TWEET_ENGAGEMENT_TYPES in twitter.js
+  discord_id text not null,
+  points integer not null,
+  created_at timestamptz not null default now(),
+  primary key (guild_id, tweet_id, twitter_user_id, engagement_type)
+);
+
+create index if not exists tweet_engagements_tweet_idx
+  on tweet_engagements (tweet_id);
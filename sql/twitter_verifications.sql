@@ -0,0 +1,12 @@
+-- /verify start stores a one-time code here; /verify confirm checks it against
+-- the handle's bio or recent tweets and only then links the account.
+create table if not exists twitter_verifications (
+  discord_id text primary key,
+  twitter_handle text not null,
+  code text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Linked accounts: twitter_verified is only set once the code was found.
+alter table users add column if not exists twitter_handle text;
+alter table users add column if not exists twitter_verified boolean not null default false;
@@ -0,0 +1,15 @@
+-- Every (guild, member) pair whose member has a verified Twitter account, for
+-- the tweet poller in twitter.js. Read in pages with .range(), so it needs a
+-- stable order.
+create or replace function verified_guild_members()
+returns table (guild_id text, discord_id text, twitter_id text)
+language sql
+stable
+as $$
+  select m.guild_id, m.discord_id, u.twitter_id
+  from guild_members m
+  join users u on u.discord_id = m.discord_id
+  where u.twitter_verified = true
+    and u.twitter_id is not null
+  order by m.guild_id, m.discord_id;
+$$;
@@ -0,0 +1,30 @@
+-- Solana wallet linking: signed-nonce challenges and one-time bonuses.
+
+-- Pending /connectwallet or /changewallet, confirmed with /confirmwallet.
+create table if not exists wallet_verifications (
+  discord_id text primary key,
+  wallet text not null,
+  nonce text not null,
+  created_at timestamptz not null default now()
+);
+
+-- connectWalletPoints is paid at most once per member per guild, even if they
+-- later change wallets.
+create table if not exists wallet_bonuses (
+  guild_id text not null,
+  discord_id text not null,
+  paid_at timestamptz not null default now(),
+  primary key (guild_id, discord_id)
+);
+
+-- One-off: everyone already paid the bonus.
+insert into wallet_bonuses (guild_id, discord_id)
+select distinct guild_id, discord_id
+from activity_logs
+where action = 'connect_wallet' and guild_id is not null
+on conflict do nothing;
+
+-- A wallet can only be linked to one user. Clear existing duplicates first
+-- (select sol_wallet from users group by 1 having count(*) > 1).
+create unique index if not exists users_sol_wallet_key
+  on users (sol_wallet) where sol_wallet is not null;
@@ -0,0 +1,476 @@
+// twitter.js
+const {
+  client,
+  supabase,
+  twitterClient,
+  OFFICIAL_TWITTER_ACCOUNT,
+  GUILD_SETTINGS,
+  botLog,
+  getScoreConfig,
+  awardPoints,
+} = require("./core");
+
+/********************************************************************
+ *                      TWITTER POLLING
+ ********************************************************************/
+async function checkTwitterActivity() {
+  botLog("[checkTwitterActivity] Polling Twitter for new tweets...");
+
+  // 1. get official user ID
+  let account;
+  try {
+    account = await twitterClient.v2.userByUsername(OFFICIAL_TWITTER_ACCOUNT);
+  } catch (err) {
+    botLog(
+      `[checkTwitterActivity] Could not fetch @${OFFICIAL_TWITTER_ACCOUNT}: ${err}`,
+    );
+    return;
+  }
+  if (!account?.data?.id) {
+    botLog(
+      `[checkTwitterActivity] No valid user ID for @${OFFICIAL_TWITTER_ACCOUNT}.`,
+    );
+    return;
+  }
+
+  // 2. fetch timeline
+  let timeline;
+  try {
+    timeline = await twitterClient.v2.userTimeline(account.data.id, {
+      max_results: 5,
+      expansions: ["author_id"],
+      "tweet.fields": ["created_at"],
+    });
+  } catch (err) {
+    botLog(`[checkTwitterActivity] Error fetching timeline: ${err}`);
+    return;
+  }
+  if (!timeline?.data?.data) {
+    botLog("[checkTwitterActivity] No tweets found in timeline.");
+    return;
+  }
+
+  const tweets = timeline.data.data;
+  for (const tw of tweets) {
+    const processed = await hasProcessedTweet(tw.id);
+    if (!processed) {
+      await markTweetAsProcessed(tw.id);
+      // Announce in every guild that set a tweet updates channel
+      for (const [guildId, settings] of Object.entries(GUILD_SETTINGS)) {
+        if (!settings.tweetUpdatesChannel) continue;
+        try {
+          const updatesChan = await client.channels.fetch(
+            settings.tweetUpdatesChannel,
+          );
+          if (updatesChan) {
+            updatesChan.send(
+              `**New Tweet from @${OFFICIAL_TWITTER_ACCOUNT}**\nhttps://twitter.com/${OFFICIAL_TWITTER_ACCOUNT}/status/${tw.id}`,
+            );
+          }
+        } catch (err) {
+          botLog(
+            `[checkTwitterActivity] Error posting new tweet: ${err}`,
+            guildId,
+          );
+        }
+      }
+    }
+
+    // Attempt awarding points for likes/retweets/quotes/replies
+    await awardTweetEngagementPoints(tw.id);
+  }
+}
+
+// Check if tweet is processed
+async function hasProcessedTweet(tweetId) {
+  const { data, error } = await supabase
+    .from("processed_tweets")
+    .select("tweet_id")
+    .eq("tweet_id", tweetId)
+    .single();
+  if (error && error.details?.includes("0 rows")) {
+    return false;
+  }
+  return !!data;
+}
+
+async function markTweetAsProcessed(tweetId) {
+  const { error } = await supabase
+    .from("processed_tweets")
+    .insert([{ tweet_id: tweetId }]);
+  if (error) {
+    botLog(`[markTweetAsProcessed] Error: ${error.message}`);
+  }
+}
+
+/**
+ * Engagement types tracked in the `tweet_engagements` ledger.
+ * Each one maps to its SCORE_CONFIG key and activity_logs action.
+ * Quotes/replies aren't clawed back: recent search only sees the last 7 days,
+ * so an old reply "disappearing" doesn't mean it was deleted.
+ */
+const TWEET_ENGAGEMENT_TYPES = {
+  like: {
+    pointsKey: "likePoints",
+    action: "twitter_like",
+    verb: "liked",
+    clawback: true,
+  },
+  retweet: {
+    pointsKey: "retweetPoints",
+    action: "twitter_retweet",
+    verb: "retweeted",
+    clawback: true,
+  },
+  quote: {
+    pointsKey: "quoteRetweetPoints",
+    action: "twitter_quote",
+    verb: "quote retweeted",
+    clawback: false,
+  },
+  reply: {
+    pointsKey: "replyPoints",
+    action: "twitter_reply",
+    verb: "replied",
+    clawback: false,
+  },
+};
+
+/**
+ * Every { guild_id, discord_id, twitter_id } whose member has verified their
+ * Twitter (paged past the 1000-row cap). Returns null on error.
+ */
+async function fetchVerifiedMembers() {
+  const pageSize = 1000;
+  const members = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .rpc("verified_guild_members")
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[fetchVerifiedMembers] Error: ${error.message}`);
+      return null;
+    }
+    members.push(...data);
+    if (data.length < pageSize) return members;
+  }
+}
+
+/**
+ * Ledger rows already paid for a tweet.
+ * Returns null on error so callers don't pay twice on a bad read.
+ *
+ * tweet_engagements: guild_id, tweet_id, twitter_user_id, engagement_type,
+ * discord_id, points — unique on (guild_id, tweet_id, twitter_user_id, engagement_type).
+ */
+async function getTweetEngagements(tweetId) {
+  const pageSize = 1000;
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("tweet_engagements")
+      .select(
+        "guild_id, tweet_id, twitter_user_id, engagement_type, discord_id, points",
+      )
+      .eq("tweet_id", tweetId)
+      .order("guild_id", { ascending: true })
+      .order("twitter_user_id", { ascending: true })
+      .order("engagement_type", { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      botLog(`[getTweetEngagements] Error: ${error.message}`);
+      return null;
+    }
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+async function recordTweetEngagement(
+  guildId,
+  tweetId,
+  twitterUserId,
+  engagementType,
+  discordId,
+  points,
+) {
+  const { error } = await supabase.from("tweet_engagements").insert([
+    {
+      guild_id: guildId,
+      tweet_id: tweetId,
+      twitter_user_id: twitterUserId,
+      engagement_type: engagementType,
+      discord_id: discordId,
+      points,
+    },
+  ]);
+  if (error) {
+    botLog(`[recordTweetEngagement] Error: ${error.message}`, guildId);
+    return false;
+  }
+  return true;
+}
+
+async function removeTweetEngagement(
+  guildId,
+  tweetId,
+  twitterUserId,
+  engagementType,
+) {
+  const { error } = await supabase
+    .from("tweet_engagements")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("tweet_id", tweetId)
+    .eq("twitter_user_id", twitterUserId)
+    .eq("engagement_type", engagementType);
+  if (error) {
+    botLog(`[removeTweetEngagement] Error: ${error.message}`, guildId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Delete a ledger row before clawing it back. Returns true only for the
+ * caller that actually deleted it, so a /fetchtwitter running alongside the
+ * poll can't take the same points twice.
+ */
+async function claimTweetEngagement(
+  guildId,
+  tweetId,
+  twitterUserId,
+  engagementType,
+) {
+  const { data, error } = await supabase
+    .from("tweet_engagements")
+    .delete()
+    .eq("guild_id", guildId)
+    .eq("tweet_id", tweetId)
+    .eq("twitter_user_id", twitterUserId)
+    .eq("engagement_type", engagementType)
+    .select("guild_id");
+  if (error) {
+    botLog(`[claimTweetEngagement] Error: ${error.message}`, guildId);
+    return false;
+  }
+  return data.length > 0;
+}
+
+/**
+ * Walk every page of a likers/retweeters paginator and collect user IDs.
+ * The full list is needed, otherwise users past page 1 would be clawed back.
+ */
+async function collectTwitterUserIds(paginator) {
+  const ids = new Set();
+  for await (const twUser of paginator) {
+    ids.add(twUser.id);
+  }
+  return ids;
+}
+
+/**
+ * Authors of every quote tweet of a tweet.
+ */
+async function collectQuoteAuthorIds(tweetId) {
+  const paginator = await twitterClient.v2.quotes(tweetId, {
+    max_results: 100,
+    "tweet.fields": ["author_id"],
+  });
+  const ids = new Set();
+  for await (const tw of paginator) {
+    ids.add(tw.author_id);
+  }
+  return ids;
+}
+
+/**
+ * Strip @mentions, links and extra whitespace so "@acct gm" and "gm" compare equal.
+ */
+function normalizeReplyText(text) {
+  return (text || "")
+    .replace(/@\w+/g, "")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Authors of replies in a tweet's conversation (recent search, last 7 days),
+ * mapped to the length of their longest reply. Copies of an earlier reply are
+ * skipped; each guild then applies its own `replyMinLength`.
+ */
+async function collectReplyLengths(tweetId) {
+  const paginator = await twitterClient.v2.search(
+    `conversation_id:${tweetId} is:reply`,
+    {
+      max_results: 100,
+      "tweet.fields": ["author_id", "created_at"],
+    },
+  );
+  const replies = [];
+  for await (const tw of paginator) {
+    replies.push(tw);
+  }
+  // Oldest first, so the original reply wins over later copies
+  replies.sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  const seenTexts = new Set();
+  const lengths = new Map();
+  for (const tw of replies) {
+    const text = normalizeReplyText(tw.text);
+    if (seenTexts.has(text)) continue;
+    seenTexts.add(text);
+    lengths.set(
+      tw.author_id,
+      Math.max(lengths.get(tw.author_id) ?? 0, text.length),
+    );
+  }
+  return lengths;
+}
+
+/**
+ * Check likes/retweets/quotes/replies for a tweet, awarding gold_points
+ * if the user is verified in DB.
+ *
+ * Points go to every guild the user is a member of, using that guild's config.
+ * Each (guild, tweet, twitter user, engagement type) is paid once, tracked in
+ * `tweet_engagements`. If a like/retweet disappears, the points are clawed back.
+ */
+async function awardTweetEngagementPoints(tweetId) {
+  const memberships = await fetchVerifiedMembers();
+  if (!memberships) return;
+
+  const engagers = {};
+  try {
+    engagers.like = await collectTwitterUserIds(
+      await twitterClient.v2.tweetLikedBy(tweetId, { asPaginator: true }),
+    );
+    engagers.retweet = await collectTwitterUserIds(
+      await twitterClient.v2.tweetRetweetedBy(tweetId, { asPaginator: true }),
+    );
+  } catch (err) {
+    if (String(err).includes("403")) {
+      botLog(
+        `[awardTweetEngagementPoints] 403 for tweet ${tweetId}; skipping...`,
+      );
+    } else {
+      botLog(`[awardTweetEngagementPoints] Error for tweet ${tweetId}: ${err}`);
+    }
+    return;
+  }
+
+  // Quotes/replies need extra API access; if they fail, still pay likes/retweets
+  try {
+    engagers.quote = await collectQuoteAuthorIds(tweetId);
+  } catch (err) {
+    botLog(`[awardTweetEngagementPoints] Quotes error for ${tweetId}: ${err}`);
+    engagers.quote = new Set();
+  }
+  let replyLengths;
+  try {
+    replyLengths = await collectReplyLengths(tweetId);
+  } catch (err) {
+    botLog(`[awardTweetEngagementPoints] Replies error for ${tweetId}: ${err}`);
+    replyLengths = new Map();
+  }
+
+  const hasEngaged = (type, twitterId, config) =>
+    type === "reply"
+      ? replyLengths.has(twitterId) &&
+        replyLengths.get(twitterId) >= config.replyMinLength
+      : engagers[type].has(twitterId);
+
+  const ledger = await getTweetEngagements(tweetId);
+  if (!ledger) return;
+  const alreadyPaid = new Set(
+    ledger.map(
+      (row) => `${row.guild_id}:${row.twitter_user_id}:${row.engagement_type}`,
+    ),
+  );
+
+  // 1. Pay new likes/retweets/quotes/replies
+  for (const {
+    guild_id: guildId,
+    discord_id: discordId,
+    twitter_id: twitterId,
+  } of memberships) {
+    const config = getScoreConfig(guildId);
+
+    for (const [type, { pointsKey, action, verb }] of Object.entries(
+      TWEET_ENGAGEMENT_TYPES,
+    )) {
+      if (!hasEngaged(type, twitterId, config)) continue;
+      if (alreadyPaid.has(`${guildId}:${twitterId}:${type}`)) continue;
+
+      const points = config[pointsKey];
+      // Insert the ledger row first; the unique key stops a concurrent poll
+      const recorded = await recordTweetEngagement(
+        guildId,
+        tweetId,
+        twitterId,
+        type,
+        discordId,
+        points,
+      );
+      if (!recorded) continue;
+
+      const result = await awardPoints(guildId, discordId, points, action);
+      if (result.newPoints === null) {
+        // Not paid (e.g. not verified) => allow a later poll to pay it
+        await removeTweetEngagement(guildId, tweetId, twitterId, type);
+        continue;
+      }
+      if (result.notifyEnabled && result.verified) {
+        botLog(
+          `[Twitter] <@${discordId}> ${verb} => +${points} (total: ${result.newPoints}).`,
+          guildId,
+        );
+      }
+    }
+  }
+
+  // 2. Claw back likes/retweets that were removed
+  for (const row of ledger) {
+    const engagement = TWEET_ENGAGEMENT_TYPES[row.engagement_type];
+    if (!engagement || !engagement.clawback) continue;
+    if (engagers[row.engagement_type].has(row.twitter_user_id)) continue;
+
+    // Delete the ledger row first, like payouts insert it first
+    const claimed = await claimTweetEngagement(
+      row.guild_id,
+      tweetId,
+      row.twitter_user_id,
+      row.engagement_type,
+    );
+    if (!claimed) continue;
+
+    const result = await awardPoints(
+      row.guild_id,
+      row.discord_id,
+      -row.points,
+      `${engagement.action}_removed`,
+    );
+    if (result.newPoints === null) {
+      // Put the row back so the next poll retries
+      await recordTweetEngagement(
+        row.guild_id,
+        tweetId,
+        row.twitter_user_id,
+        row.engagement_type,
+        row.discord_id,
+        row.points,
+      );
+      continue;
+    }
+    if (result.notifyEnabled) {
+      botLog(
+        `[Twitter] <@${row.discord_id}> removed ${row.engagement_type} => -${row.points} (total: ${result.newPoints}).`,
+        row.guild_id,
+      );
+    }
+  }
+}
+
+module.exports = { checkTwitterActivity };